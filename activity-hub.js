@@ -0,0 +1,212 @@
+/* global WebSocketPair */
+
+import { mongoClientForEnv, mongoDate } from './mongo-client.js';
+
+// Durable Object - live activity broadcast hub for Imaginary Crime Lab
+//
+// A single named instance holds every open SSE and WebSocket client, so an
+// activity published from any Worker request (order webhook, checkout, POST
+// /activity) reaches every browser at once. Connection counts are exact: they
+// are simply the number of sessions this object is holding. Each session is also
+// registered in MongoDB `connections` and heartbeated with the keepalives, so
+// the collection (1 minute TTL) mirrors what the hub holds.
+//
+// SSE activity events stored in MongoDB carry an `id:` of "<timestamp ms>-<_id>",
+// the same order as the activities collection sorted by { timestamp, _id }.
+// Browsers send it back as Last-Event-ID on reconnect and the Worker replays
+// the activities stored strictly after it.
+//
+// Being the one instance worldwide, the hub also keeps the evidence cache version the
+// Worker puts in its edge cache key: bumping it (POST /evidence-version) invalidates the
+// cached evidence list in every data center.
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+const RETRY_MS = 3000;
+
+// Hub bookkeeping events: not activities, so never given a resumable id
+const CONTROL_EVENTS = ['connection_established', 'connection_count'];
+
+export class ActivityHub {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.sessions = new Map();
+    this.keepaliveInterval = null;
+    this.mongo = env.MONGODB_API_KEY ? mongoClientForEnv(env) : null;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/publish' && request.method === 'POST') {
+      const activity = await request.json();
+      this.broadcast(activity);
+      return Response.json({ delivered: this.sessions.size });
+    }
+
+    if (url.pathname === '/evidence-version') {
+      let version = (await this.state.storage.get('evidence_version')) || 0;
+      if (request.method === 'POST') {
+        version += 1;
+        await this.state.storage.put('evidence_version', version);
+      }
+      return Response.json({ version });
+    }
+
+    if (url.pathname === '/connect') {
+      if (request.headers.get('Upgrade') === 'websocket') {
+        return this.acceptWebSocket(url.searchParams.get('session_id'));
+      }
+      const { replay = [], missed = [], session_id: sessionId = null } = request.method === 'POST'
+        ? await request.json()
+        : {};
+      return this.acceptEventStream(replay, missed, sessionId);
+    }
+
+    return Response.json({ error: 'Not found' }, { status: 404 });
+  }
+
+  // Server-Sent Events client: retry hint, hello, history or missed events, then live events
+  acceptEventStream(replay, missed, sessionId) {
+    const id = crypto.randomUUID();
+    const encoder = new TextEncoder();
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+
+    const write = (text) => {
+      writer.write(encoder.encode(text)).catch(() => this.removeSession(id));
+    };
+
+    const session = {
+      send: (event) => {
+        // Unstored activities (MongoDB not configured) have nothing to resume from
+        const frame = !CONTROL_EVENTS.includes(event.type) && event.id
+          ? `id: ${Date.parse(event.timestamp)}-${event.id}\n`
+          : '';
+        write(`${frame}data: ${JSON.stringify(event)}\n\n`);
+      },
+      keepalive: () => write(': keepalive\n\n'),
+      close: () => writer.close().catch(() => {}),
+    };
+
+    this.addSession(id, session, sessionId);
+
+    write(`retry: ${RETRY_MS}\n\n`);
+    session.send({ type: 'connection_established', timestamp: new Date().toISOString() });
+    // Fresh connections get recent history; reconnects get only what they missed
+    replay.forEach(activity => session.send({ ...activity, replay: true }));
+    missed.forEach(activity => session.send(activity));
+    this.broadcastCount();
+
+    return new Response(readable, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+      },
+    });
+  }
+
+  // WebSocket client: same events, one JSON message each
+  acceptWebSocket(sessionId) {
+    const id = crypto.randomUUID();
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+
+    this.addSession(id, {
+      send: (event) => {
+        try {
+          server.send(JSON.stringify(event));
+        } catch {
+          this.removeSession(id);
+        }
+      },
+      keepalive: () => {},
+      close: () => server.close(1000, 'Closing'),
+    }, sessionId);
+
+    server.addEventListener('close', () => this.removeSession(id));
+    server.addEventListener('error', () => this.removeSession(id));
+
+    this.sessions.get(id).send({ type: 'connection_established', timestamp: new Date().toISOString() });
+    this.broadcastCount();
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  addSession(id, session, sessionId = null) {
+    this.sessions.set(id, session);
+    this.registerConnection(id, sessionId);
+
+    // Keepalive comments hold proxies open and double as a liveness probe:
+    // writes to a gone client fail and drop it
+    if (!this.keepaliveInterval) {
+      this.keepaliveInterval = setInterval(() => {
+        for (const [id, session] of this.sessions) {
+          session.keepalive();
+          this.heartbeatConnection(id);
+        }
+      }, KEEPALIVE_INTERVAL_MS);
+    }
+  }
+
+  removeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+
+    this.sessions.delete(id);
+    session.close();
+    this.unregisterConnection(id);
+
+    if (this.sessions.size === 0) {
+      clearInterval(this.keepaliveInterval);
+      this.keepaliveInterval = null;
+    } else {
+      this.broadcastCount();
+    }
+  }
+
+  // MongoDB `connections` bookkeeping is best-effort: a failed write only leaves the
+  // collection behind until the next heartbeat or the TTL catches up
+
+  registerConnection(connectionId, sessionId) {
+    const now = mongoDate();
+    this.writeConnection('register', mongo => mongo.insertOne('connections', {
+      connection_id: connectionId,
+      worker_id: this.state.id.toString(),
+      connected_at: now,
+      last_seen: now,
+      ...(sessionId ? { session_id: sessionId } : {}),
+    }));
+  }
+
+  heartbeatConnection(connectionId) {
+    this.writeConnection('heartbeat', mongo => mongo.updateOne('connections',
+      { connection_id: connectionId },
+      { $set: { last_seen: mongoDate() } }
+    ));
+  }
+
+  unregisterConnection(connectionId) {
+    this.writeConnection('unregister', mongo => mongo.deleteOne('connections', { connection_id: connectionId }));
+  }
+
+  writeConnection(action, write) {
+    if (!this.mongo) return;
+    const pending = write(this.mongo).catch(error => console.error(`Connection ${action} failed:`, error));
+    this.state.waitUntil?.(pending);
+  }
+
+  broadcast(event) {
+    for (const session of this.sessions.values()) {
+      session.send(event);
+    }
+  }
+
+  broadcastCount() {
+    this.broadcast({
+      type: 'connection_count',
+      count: this.sessions.size,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
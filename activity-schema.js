@@ -0,0 +1,192 @@
+// Activity schema for Imaginary Crime Lab
+//
+// Every activity is stored as { type, timestamp, worker_id, data } (see mongodb-schema.js).
+// ACTIVITY_TYPES lists each type, the fields its `data` may carry, which of those are
+// required, and whether browsers may post it through POST /activity or only the Worker
+// logs it. The types mirror the $jsonSchema enum in mongodb-init.js, less
+// connection_count, which the ActivityHub broadcasts but nothing stores.
+//
+// ENGAGEMENT_EVENT_TYPES does the same for the view and dwell events the Evidence Store
+// posts to POST /evidence/engagement (stored in MongoDB evidence_engagement).
+
+const STRING_MAX_LENGTH = 255;
+const LIST_MAX_LENGTH = 100;
+const DWELL_MAX_SECONDS = 3600;
+
+// Field kinds and how each is checked
+const FIELD_KINDS = {
+  id: {
+    check: value => Number.isInteger(value) && value > 0,
+    expected: 'a positive integer',
+  },
+  ids: {
+    check: value => Array.isArray(value) && value.length <= LIST_MAX_LENGTH
+      && value.every(item => Number.isInteger(item) && item > 0),
+    expected: `a list of at most ${LIST_MAX_LENGTH} positive integers`,
+  },
+  string: {
+    check: value => typeof value === 'string' && value.trim() !== '' && value.length <= STRING_MAX_LENGTH,
+    expected: `a non-empty string of at most ${STRING_MAX_LENGTH} characters`,
+  },
+  strings: {
+    check: value => Array.isArray(value) && value.length <= LIST_MAX_LENGTH
+      && value.every(item => typeof item === 'string' && item.length <= STRING_MAX_LENGTH),
+    expected: `a list of at most ${LIST_MAX_LENGTH} strings`,
+  },
+  percent: {
+    check: value => Number.isInteger(value) && value >= 0 && value <= 100,
+    expected: 'a whole percentage from 0 to 100',
+  },
+  seconds: {
+    check: value => typeof value === 'number' && value >= 0 && value <= DWELL_MAX_SECONDS,
+    expected: `seconds from 0 to ${DWELL_MAX_SECONDS}`,
+  },
+  boolean: {
+    check: value => typeof value === 'boolean',
+    expected: 'true or false',
+  },
+};
+
+// The Worker fills session_id in from X-Player-Id, so clients never send it
+const WORKER_FIELDS = { session_id: 'string' };
+
+export const ACTIVITY_TYPES = {
+  case_viewed: {
+    client: true,
+    fields: { case_id: 'id' },
+    required: ['case_id'],
+  },
+  cart_add: {
+    client: true,
+    fields: { evidence_id: 'string', case_ids: 'ids' },
+    required: ['evidence_id'],
+  },
+  cart_remove: {
+    client: true,
+    fields: { evidence_id: 'string', case_ids: 'ids' },
+    required: ['evidence_id'],
+  },
+  checkout_created: {
+    client: false,
+    fields: { checkout_id: 'string', variant_ids: 'strings', case_ids: 'ids', discount_codes: 'strings' },
+    required: ['checkout_id'],
+  },
+  case_solved: {
+    client: false,
+    fields: { case_ids: 'ids', order_id: 'string', solved_by_purchase: 'boolean' },
+    required: ['case_ids'],
+  },
+  case_progress: {
+    client: false,
+    fields: {
+      case_id: 'id',
+      case_number: 'string',
+      title: 'string',
+      progress_percentage: 'percent',
+      player_marker: 'string',
+    },
+    required: ['case_id', 'progress_percentage'],
+  },
+  case_reopened: {
+    client: false,
+    fields: { case_ids: 'ids', order_id: 'string', reason: 'string' },
+    required: ['case_ids', 'reason'],
+  },
+};
+
+// Engagement events carry their fields beside event_type rather than under data. The
+// Worker logs cart_add and cart_remove engagement itself from the cart routes.
+export const ENGAGEMENT_EVENT_TYPES = {
+  view: {
+    fields: { evidence_id: 'string' },
+    required: ['evidence_id'],
+  },
+  dwell: {
+    fields: { evidence_id: 'string', time_on_page: 'seconds', scroll_depth: 'percent' },
+    required: ['evidence_id', 'time_on_page'],
+  },
+};
+
+// Check an activity `{ type, data }`. From a client (the default) only client types are
+// accepted and nothing else may sit beside type and data; the Worker may also set
+// session_id. Returns null when valid, otherwise { field: message } as for validationError.
+export function validateActivity(input, { client = true } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { body: 'must be a JSON object' };
+  }
+
+  const errors = {};
+  const schema = ACTIVITY_TYPES[input.type];
+
+  if (typeof input.type !== 'string' || !schema) {
+    const accepted = Object.keys(ACTIVITY_TYPES).filter(type => !client || ACTIVITY_TYPES[type].client);
+    return { type: `must be one of ${accepted.join(', ')}` };
+  }
+  if (client && !schema.client) {
+    return { type: `${input.type} is logged by the Worker, not accepted from clients` };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (key !== 'type' && key !== 'data') {
+      errors[key] = 'is not allowed; activity fields go under data';
+    }
+  }
+
+  const data = input.data ?? {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { ...errors, data: 'must be an object' };
+  }
+
+  const fields = client ? schema.fields : { ...schema.fields, ...WORKER_FIELDS };
+  for (const [field, value] of Object.entries(data)) {
+    const kind = fields[field];
+    if (!kind) {
+      errors[`data.${field}`] = field in WORKER_FIELDS
+        ? 'is set by the Worker from X-Player-Id'
+        : `is not a ${input.type} field`;
+    } else if (!FIELD_KINDS[kind].check(value)) {
+      errors[`data.${field}`] = `must be ${FIELD_KINDS[kind].expected}`;
+    }
+  }
+
+  for (const field of schema.required) {
+    if (data[field] === undefined) {
+      errors[`data.${field}`] = 'is required';
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// Check an engagement event `{ event_type, ...fields }`. Whether evidence_id names real
+// evidence is up to the caller. Returns null when valid, otherwise { field: message }.
+export function validateEngagementEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { event: 'must be an object' };
+  }
+
+  const schema = ENGAGEMENT_EVENT_TYPES[event.event_type];
+  if (typeof event.event_type !== 'string' || !schema) {
+    return { event_type: `must be one of ${Object.keys(ENGAGEMENT_EVENT_TYPES).join(', ')}` };
+  }
+
+  const errors = {};
+  for (const [field, value] of Object.entries(event)) {
+    if (field === 'event_type') continue;
+
+    const kind = schema.fields[field];
+    if (!kind) {
+      errors[field] = `is not a ${event.event_type} field`;
+    } else if (!FIELD_KINDS[kind].check(value)) {
+      errors[field] = `must be ${FIELD_KINDS[kind].expected}`;
+    }
+  }
+
+  for (const field of schema.required) {
+    if (event[field] === undefined) {
+      errors[field] = 'is required';
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
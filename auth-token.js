@@ -0,0 +1,19 @@
+// Mint a signed JWT for the Worker's operator and admin routes
+// Usage: AUTH_JWT_SECRET=... node auth-token.js <subject> <role> [hours]
+
+import { ROLES, signJwt } from './auth.js';
+
+const [subject, role, hours = '12'] = process.argv.slice(2);
+
+if (!subject || !ROLES.includes(role)) {
+  console.error(`❌ Usage: node auth-token.js <subject> <${ROLES.join('|')}> [hours]`);
+  process.exit(1);
+}
+
+if (!process.env.AUTH_JWT_SECRET) {
+  console.error('❌ AUTH_JWT_SECRET not set');
+  process.exit(1);
+}
+
+const token = await signJwt(subject, role, process.env.AUTH_JWT_SECRET, Number(hours) * 3600);
+console.log(token);
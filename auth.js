@@ -0,0 +1,141 @@
+// Authentication for Imaginary Crime Lab
+//
+// Callers present `Authorization: Bearer <credential>`, where the credential is either
+//   - an API key listed in the API_KEYS secret (JSON: {"<key>": {"name": "...", "role": "..."}}),
+//     or ADMIN_API_KEY, which is always an admin key, or
+//   - an HS256 JWT signed with AUTH_JWT_SECRET carrying `sub`, `role` and `exp` claims.
+// Both are checked with WebCrypto only, so this module runs in the Worker and in Node.
+
+// Roles are ordered: each one can do everything the roles before it can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const encoder = new TextEncoder();
+
+// Resolve the request's bearer credential to { subject, role, method }, or null
+export async function authenticate(request, env) {
+  const header = request.headers.get('Authorization') || '';
+  const token = header.replace(/^Bearer\s+/i, '').trim();
+  if (!token || token === header) {
+    return null;
+  }
+
+  if (token.split('.').length === 3) {
+    return verifyJwt(token, env.AUTH_JWT_SECRET);
+  }
+  return lookupApiKey(token, env);
+}
+
+// True when the principal's role is at least `role`
+export function hasRole(principal, role) {
+  return ROLES.includes(role) && ROLES.indexOf(principal?.role) >= ROLES.indexOf(role);
+}
+
+// Sign an HS256 JWT for `subject` with `role`, valid for `ttlSeconds`
+export async function signJwt(subject, role, secret, ttlSeconds = 3600) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify({
+    sub: subject,
+    role,
+    iat: now,
+    exp: now + ttlSeconds,
+  })));
+
+  const key = await hmacKey(secret, 'sign');
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+// Constant-time string comparison so credential checks don't leak timing
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function verifyJwt(token, secret) {
+  if (!secret) {
+    return null;
+  }
+
+  const [header, payload, signature] = token.split('.');
+
+  try {
+    const key = await hmacKey(secret, 'verify');
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(signature),
+      encoder.encode(`${header}.${payload}`)
+    );
+    if (!valid) {
+      return null;
+    }
+
+    const { alg } = JSON.parse(new TextDecoder().decode(base64UrlDecode(header)));
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (alg !== 'HS256' || !claims.sub || !ROLES.includes(claims.role)) {
+      return null;
+    }
+    if (!claims.exp || claims.exp * 1000 < Date.now()) {
+      return null;
+    }
+
+    return { subject: claims.sub, role: claims.role, method: 'jwt' };
+  } catch {
+    return null;
+  }
+}
+
+function lookupApiKey(token, env) {
+  if (env.ADMIN_API_KEY && timingSafeEqual(token, env.ADMIN_API_KEY)) {
+    return { subject: 'admin-api-key', role: 'admin', method: 'api_key' };
+  }
+
+  let keys = {};
+  try {
+    keys = env.API_KEYS ? JSON.parse(env.API_KEYS) : {};
+  } catch {
+    console.error('API_KEYS is not valid JSON; ignoring it');
+  }
+
+  for (const [key, { name, role }] of Object.entries(keys)) {
+    if (timingSafeEqual(token, key) && ROLES.includes(role)) {
+      return { subject: name || 'api-key', role, method: 'api_key' };
+    }
+  }
+  return null;
+}
+
+function hmacKey(secret, usage) {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage]
+  );
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
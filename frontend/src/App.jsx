@@ -1,70 +1,377 @@
-import React, { useState, useEffect } from 'react';
-import { AlertCircle, CheckCircle, Lock, Unlock, Database, Zap, ShoppingCart, FileText } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { AlertCircle, CheckCircle, Lock, Unlock, Database, Zap, ShoppingCart, FileText, RotateCcw } from 'lucide-react';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:8787';
 
+// Anonymous player id kept in localStorage, so each browser has its own investigation
+const PLAYER_ID = (() => {
+  let id = localStorage.getItem('crimelab_player_id');
+  if (!id) {
+    id = `anon_${crypto.randomUUID()}`;
+    localStorage.setItem('crimelab_player_id', id);
+  }
+  return id;
+})();
+const PLAYER_HEADERS = { 'X-Player-Id': PLAYER_ID };
+
+// Live case_progress milestones carry this instead of a player id (see progressMarker in
+// worker.js); matching it means the milestone is our own
+const progressMarker = async (caseId, progress) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${PLAYER_ID}:${caseId}:${progress}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Operator credential (API key or JWT) for protected routes like reset
+const OPERATOR_TOKEN_KEY = 'crimelab_operator_token';
+
+// The cart lives in Shopify behind the worker; only its id is kept here
+const CART_ID_KEY = 'crimelab_cart_id';
+const EMPTY_CART = { cart_id: null, lines: [], subtotal: '0.00', discount: '0.00', total: '0.00', discount_codes: [] };
+
+// Evidence cards count as viewed once at least half on screen; views and dwells are
+// queued and posted to /evidence/engagement in batches
+const ENGAGEMENT_VISIBLE_RATIO = 0.5;
+const ENGAGEMENT_FLUSH_MS = 10000;
+const TRENDING_REFRESH_MS = 30000;
+const TRENDING_MIN_HEAT = 0.25;
+
+// How long "someone is N% through ..." notices from other players stay up
+const PROGRESS_NOTICE_MS = 8000;
+
+const cartHeaders = () => {
+  const cartId = localStorage.getItem(CART_ID_KEY);
+  return { ...PLAYER_HEADERS, ...(cartId ? { 'X-Cart-Id': cartId } : {}) };
+};
+
 export default function CrimeLab() {
   const [cases, setCases] = useState([]);
   const [activities, setActivities] = useState([]);
   const [evidence, setEvidence] = useState([]);
-  const [cart, setCart] = useState([]);
+  const [cart, setCart] = useState(EMPTY_CART);
+  const [cartError, setCartError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeView, setActiveView] = useState('cases');
-  const [dbMetrics, setDbMetrics] = useState({});
+  const [dbMetrics, setDbMetrics] = useState(null);
   const [liveConnections, setLiveConnections] = useState(0);
   const [showCart, setShowCart] = useState(false);
+  const [discountInput, setDiscountInput] = useState('');
   const [purchasedEvidence, setPurchasedEvidence] = useState([]);
+  const [operator, setOperator] = useState(null);
+  const [routes, setRoutes] = useState([]);
+  const [evidenceCache, setEvidenceCache] = useState({});
+  const [caseAnalytics, setCaseAnalytics] = useState(null);
+  const [engagement, setEngagement] = useState([]);
+  const [progressNotice, setProgressNotice] = useState(null);
+  const [storeDifficulty, setStoreDifficulty] = useState('');
   const [detectiveComment, setDetectiveComment] = useState('React (GitHub Pages) → Workers (Edge) → Neon (Postgres) + MongoDB (Live) + Shopify (Commerce)');
 
   // Remove purchased items from evidence pane
   const availableEvidence = evidence.filter(e => !purchasedEvidence.includes(e.id));
 
+  // Evidence Store groups: one per case (items shared by cases appear in each), then unassigned
+  const storeGroups = [
+    ...cases
+      .filter(c => !storeDifficulty || c.difficulty === storeDifficulty)
+      .map(c => ({
+        key: c.id,
+        title: `${c.number} · ${c.title}`,
+        difficulty: c.difficulty,
+        items: availableEvidence.filter(e => e.case_ids?.includes(c.id))
+      })),
+    ...(storeDifficulty ? [] : [{
+      key: 'unassigned',
+      title: 'Unassigned Evidence',
+      items: availableEvidence.filter(e => !e.case_ids?.length)
+    }])
+  ].filter(group => group.items.length > 0);
+
   // Fetch purchased evidence on load
   useEffect(() => {
-    fetch(`${API_BASE}/purchased-evidence`)
+    fetch(`${API_BASE}/purchased-evidence`, { headers: PLAYER_HEADERS })
       .then(r => r.json())
       .then(setPurchasedEvidence)
       .catch(console.error);
   }, []);
 
+  // Restore the cart from a previous visit. One Shopify no longer has, or that came back
+  // empty, is quietly forgotten; other failures show in the cart panel.
+  useEffect(() => {
+    if (!localStorage.getItem(CART_ID_KEY)) return;
+    fetch(`${API_BASE}/cart`, { headers: cartHeaders() })
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.status === 404 || (response.ok && !data.lines?.length)) {
+          localStorage.removeItem(CART_ID_KEY);
+          return;
+        }
+        if (data.error) {
+          setCartError(`Couldn't restore your cart: ${data.error}`);
+          return;
+        }
+        applyCart(data);
+      })
+      .catch(console.error);
+  }, []);
+
+  // Route table for System Internals
+  useEffect(() => {
+    fetch(`${API_BASE}/routes`)
+      .then(r => r.json())
+      .then(setRoutes)
+      .catch(console.error);
+  }, []);
+
+  // Trending evidence for the store badges and System Internals, kept fresh while open
+  useEffect(() => {
+    if (!['evidence', 'internals'].includes(activeView)) return;
+    const load = () => fetch(`${API_BASE}/evidence/engagement`)
+      .then(r => r.json())
+      .then(data => setEngagement(data.evidence || []))
+      .catch(console.error);
+    load();
+    const interval = setInterval(load, TRENDING_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [activeView]);
+
+  // Evidence engagement: a `view` when a card comes on screen, then a `dwell` with the
+  // seconds it stayed and how far down the page (%) the visitor had scrolled
+  const engagementQueue = useRef([]);
+  const cardsOnScreen = useRef(new Map());
+  const cardObserver = useRef(null);
+
+  const flushEngagement = () => {
+    const events = engagementQueue.current.splice(0);
+    if (events.length === 0) return;
+    fetch(`${API_BASE}/evidence/engagement`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...PLAYER_HEADERS },
+      body: JSON.stringify({ events }),
+      keepalive: true
+    }).catch(console.error);
+  };
+
+  const endDwell = (evidenceId) => {
+    const since = cardsOnScreen.current.get(evidenceId);
+    if (since === undefined) return;
+    cardsOnScreen.current.delete(evidenceId);
+
+    const page = document.documentElement;
+    const scrolled = (window.scrollY + window.innerHeight) / Math.max(page.scrollHeight, 1);
+    engagementQueue.current.push({
+      evidence_id: evidenceId,
+      event_type: 'dwell',
+      time_on_page: Math.min(Math.round((Date.now() - since) / 100) / 10, 3600),
+      scroll_depth: Math.min(Math.round(scrolled * 100), 100)
+    });
+  };
+
+  const endAllDwells = () => [...cardsOnScreen.current.keys()].forEach(endDwell);
+
+  // Ref callback for evidence cards; the observer is created on first use
+  const trackEvidenceCard = (node) => {
+    if (!node) return;
+    if (!cardObserver.current) {
+      cardObserver.current = new IntersectionObserver(entries => entries.forEach(entry => {
+        const evidenceId = entry.target.dataset.evidenceId;
+        if (entry.isIntersecting && !cardsOnScreen.current.has(evidenceId)) {
+          cardsOnScreen.current.set(evidenceId, Date.now());
+          engagementQueue.current.push({ evidence_id: evidenceId, event_type: 'view' });
+        } else if (!entry.isIntersecting) {
+          endDwell(evidenceId);
+        }
+      }), { threshold: ENGAGEMENT_VISIBLE_RATIO });
+    }
+    cardObserver.current.observe(node);
+  };
+
+  useEffect(() => {
+    const interval = setInterval(flushEngagement, ENGAGEMENT_FLUSH_MS);
+    const onPageHide = () => {
+      endAllDwells();
+      flushEngagement();
+    };
+    window.addEventListener('pagehide', onPageHide);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('pagehide', onPageHide);
+      cardObserver.current?.disconnect();
+    };
+  }, []);
+
+  // Leaving the store ends every dwell; the cards unmount without leaving the viewport
+  useEffect(() => {
+    if (activeView === 'evidence') return;
+    endAllDwells();
+    cardObserver.current?.disconnect();
+  }, [activeView]);
+
+  const trendingFor = (evidenceId) => engagement.find(e => e.evidence_id === evidenceId && e.heat >= TRENDING_MIN_HEAT);
+
+  // Case funnel for System Internals, fetched whenever the tab opens (viewer token needed)
+  useEffect(() => {
+    if (activeView !== 'internals') return;
+    if (!operator) {
+      setCaseAnalytics(null);
+      return;
+    }
+    fetch(`${API_BASE}/analytics/cases`, { headers: { Authorization: `Bearer ${operator.token}` } })
+      .then(r => r.json())
+      .then(setCaseAnalytics)
+      .catch(console.error);
+  }, [activeView, operator]);
+
+  // Database metrics need a viewer token; refetched when the tab opens or the operator changes
+  useEffect(() => {
+    if (activeView !== 'internals') return;
+    if (!operator) {
+      setDbMetrics(null);
+      return;
+    }
+    fetch(`${API_BASE}/metrics`, { headers: { Authorization: `Bearer ${operator.token}` } })
+      .then(r => r.json())
+      .then(setDbMetrics)
+      .catch(console.error);
+  }, [activeView, operator]);
+
+  // Log case_viewed once per case per page load, when the Cases tab shows it;
+  // the analytics rollup counts these as views and times solves from the first one
+  const viewedCases = useRef(new Set());
+  useEffect(() => {
+    if (activeView !== 'cases') return;
+    const unseen = cases.filter(c => !viewedCases.current.has(c.id));
+    if (unseen.length === 0) return;
+
+    unseen.forEach(c => viewedCases.current.add(c.id));
+    fetch(`${API_BASE}/activity/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...PLAYER_HEADERS },
+      body: JSON.stringify({ activities: unseen.map(c => ({ type: 'case_viewed', data: { case_id: c.id } })) })
+    }).catch(console.error);
+  }, [activeView, cases]);
+
   useEffect(() => {
     fetchInitialData();
     subscribeToLiveActivity();
+    verifyOperatorToken(localStorage.getItem(OPERATOR_TOKEN_KEY));
   }, []);
 
+  // Check a stored or entered token with the Worker; only valid ones are kept
+  const verifyOperatorToken = async (token) => {
+    if (!token) return;
+    try {
+      const response = await fetch(`${API_BASE}/auth/whoami`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error(`whoami returned ${response.status}`);
+      const principal = await response.json();
+      localStorage.setItem(OPERATOR_TOKEN_KEY, token);
+      setOperator({ ...principal, token });
+    } catch (error) {
+      console.error('Operator token rejected:', error);
+      localStorage.removeItem(OPERATOR_TOKEN_KEY);
+      setOperator(null);
+    }
+  };
+
+  const signOutOperator = () => {
+    localStorage.removeItem(OPERATOR_TOKEN_KEY);
+    setOperator(null);
+  };
+
+  const canReset = operator && ['operator', 'admin'].includes(operator.role);
+
   const fetchInitialData = async () => {
     try {
-      const [casesRes, evidenceRes, metricsRes] = await Promise.all([
-        fetch(`${API_BASE}/cases`),
-        fetch(`${API_BASE}/evidence`),
-        fetch(`${API_BASE}/metrics`)
+      const [casesRes, evidenceRes] = await Promise.all([
+        fetch(`${API_BASE}/cases`, { headers: PLAYER_HEADERS }),
+        fetch(`${API_BASE}/evidence`)
       ]);
-      setCases(await casesRes.json());
+      const casesData = await casesRes.json();
+      setCases(casesData);
       setEvidence(await evidenceRes.json());
-      setDbMetrics(await metricsRes.json());
+      setEvidenceCache({
+        status: evidenceRes.headers.get('X-Cache'),
+        age: Number(evidenceRes.headers.get('Age')),
+        ttl: Number(evidenceRes.headers.get('X-Cache-TTL'))
+      });
       setLoading(false);
+      reconcileSolvedCases(casesData);
     } catch (error) {
       console.error('Init failed:', error);
       setLoading(false);
     }
   };
 
+  // Cases completed across several orders may not be marked solved yet; let the worker decide
+  const reconcileSolvedCases = async (casesData) => {
+    const pending = casesData.filter(c => c.solvable && !c.solved_at);
+    if (pending.length === 0) return;
+
+    const results = await Promise.all(pending.map(c =>
+      fetch(`${API_BASE}/cases/${c.id}/evaluate`, { method: 'POST', headers: PLAYER_HEADERS }).then(r => r.json())
+    ));
+    setCases(prev => prev.map(c => {
+      const result = results.find(r => r.case_id === c.id);
+      return result ? { ...c, solved_at: result.solved_at, progress: result.progress } : c;
+    }));
+  };
+
   const subscribeToLiveActivity = () => {
-    const eventSource = new EventSource(`${API_BASE}/activity/stream`);
+    const eventSource = new EventSource(`${API_BASE}/activity/stream?player_id=${encodeURIComponent(PLAYER_ID)}`);
     eventSource.onmessage = (event) => {
       const activity = JSON.parse(event.data);
-      setActivities(prev => [activity, ...prev].slice(0, 50));
+      // Reconnects replay from Last-Event-ID, so an activity may arrive twice
+      setActivities(prev => (activity.id && prev.some(a => a.id === activity.id)
+        ? prev
+        : [activity, ...prev].slice(0, 50)));
       if (activity.type === 'connection_count') setLiveConnections(activity.count);
-      if (activity.type === 'case_solved') fetchInitialData();
+      // Replayed history is already reflected in the data we fetched
+      if (['case_solved', 'case_reopened'].includes(activity.type) && !activity.replay) fetchInitialData();
+      // Another player passing a progress milestone
+      if (activity.type === 'case_progress' && !activity.replay) {
+        progressMarker(activity.data.case_id, activity.data.progress_percentage).then(marker => {
+          if (marker === activity.data.player_marker) return;
+          setProgressNotice(activity.data);
+          setTimeout(() => setProgressNotice(notice => (notice === activity.data ? null : notice)), PROGRESS_NOTICE_MS);
+        });
+      }
     };
+    // EventSource reconnects on its own (after the server's retry: hint), sending Last-Event-ID
     eventSource.onerror = () => console.log('Activity stream disconnected, reconnecting...');
     return () => eventSource.close();
   };
 
+  // Keep the worker's view of the cart, and its id for next time (null once checked out or
+  // expired). A failed change leaves the cart as it was and opens the panel on the error.
+  const applyCart = (data) => {
+    if (data.error) {
+      setCartError(`Cart update failed: ${data.error}`);
+      setShowCart(true);
+      return;
+    }
+    setCartError(null);
+    if (data.cart_id) {
+      localStorage.setItem(CART_ID_KEY, data.cart_id);
+    } else {
+      localStorage.removeItem(CART_ID_KEY);
+    }
+    setCart(data);
+  };
+
+  const inCart = (evidenceId) => cart.lines.some(line => line.evidence_id === evidenceId);
+
   const addToCart = async (evidenceId) => {
     const item = evidence.find(e => e.id === evidenceId);
-    if (!item) return;
-    setCart(prev => [...prev, item]);
+    if (!item || inCart(evidenceId)) return;
+
+    const response = await fetch(`${API_BASE}/cart/lines`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...cartHeaders() },
+      body: JSON.stringify({ evidence_ids: [evidenceId] })
+    });
+    const data = await response.json();
+    applyCart(data);
+    if (data.skipped?.length) console.info('Not added to cart:', data.skipped);
 
     // Fetch detective comment
     fetch(`${API_BASE}/detective-comment`, {
@@ -83,50 +390,108 @@ export default function CrimeLab() {
 
     await fetch(`${API_BASE}/activity`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ type: 'cart_add', evidence_id: evidenceId, timestamp: new Date().toISOString() })
+      headers: { 'Content-Type': 'application/json', ...PLAYER_HEADERS },
+      body: JSON.stringify({ type: 'cart_add', data: { evidence_id: evidenceId, case_ids: item.case_ids || [] } })
     });
   };
 
-  const removeFromCart = (index) => {
-    setCart(prev => prev.filter((_, i) => i !== index));
+  const removeFromCart = async (evidenceId) => {
+    const response = await fetch(`${API_BASE}/cart/lines/${encodeURIComponent(evidenceId)}`, {
+      method: 'DELETE',
+      headers: cartHeaders()
+    });
+    applyCart(await response.json());
   };
 
-  const purchaseCart = async () => {
-    const variant_ids = cart.map(item => item.variant_id);
+  // Replace the cart's discount codes; ones Shopify turns down come back in `rejected`
+  const updateDiscountCodes = async (codes) => {
+    const response = await fetch(`${API_BASE}/cart/discount-codes`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...cartHeaders() },
+      body: JSON.stringify({ discount_codes: codes })
+    });
+    applyCart(await response.json());
+  };
+
+  const applyDiscountCode = async (event) => {
+    event.preventDefault();
+    const code = discountInput.trim();
+    if (!code) return;
+    await updateDiscountCodes([...cart.discount_codes.map(d => d.code), code]);
+    setDiscountInput('');
+  };
 
+  // The cart stays stored until Shopify converts it, so an abandoned checkout can be resumed
+  const purchaseCart = async () => {
     const response = await fetch(`${API_BASE}/checkout`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ variant_ids })
+      headers: cartHeaders()
     });
 
     const data = await response.json();
 
+    if (!data.checkout_url) {
+      setCartError(`Checkout failed: ${data.error || 'Unknown error'}`);
+      return;
+    }
+
+    window.location.href = data.checkout_url;
+  };
+
+  // Buy exactly what a case still needs in one Shopify checkout
+  const solveCase = async (caseId) => {
+    const response = await fetch(`${API_BASE}/cases/${caseId}/checkout`, {
+      method: 'POST',
+      headers: PLAYER_HEADERS
+    });
+    const data = await response.json();
+
     if (!data.checkout_url) {
       alert(`Checkout failed: ${data.error || 'Unknown error'}`);
       return;
     }
 
-    setCart([]);
+    // The case's cart replaces the player's, as the worker's case_progress now tracks it
+    localStorage.setItem(CART_ID_KEY, data.cart_id);
     window.location.href = data.checkout_url;
   };
 
   const CaseCard = ({ caseData }) => {
-    const requiredEvidence = evidence.filter(e => caseData.required_evidence?.includes(e.id));
-    const collectedEvidence = requiredEvidence.filter(e => purchasedEvidence.includes(e.id));
-    const progress = requiredEvidence.length ? (collectedEvidence.length / requiredEvidence.length) * 100 : 0;
-    const solved = caseData.solved_at || progress === 100;
+    // Progress and solved state come from the worker's solver
+    const requiredEvidence = evidence.filter(e => e.case_ids?.includes(caseData.id));
+    const collectedIds = caseData.collected_evidence || [];
+    const progress = caseData.progress || 0;
+    const solved = Boolean(caseData.solved_at);
+    // Solved once, then unsolved by a refund or cancelled order
+    const reopened = !solved && Boolean(caseData.reopened_at);
+    // What "Solve this case" would buy: the critical evidence not yet collected
+    const missingEvidence = requiredEvidence.filter(ev =>
+      ev.cases.find(c => c.id === caseData.id)?.is_critical && !collectedIds.includes(ev.id)
+    );
+    const missingTotal = missingEvidence.reduce((sum, ev) => sum + parseFloat(ev.price), 0).toFixed(2);
+    // Paid for ("collected") vs sitting in the cart ("pending checkout")
+    const pendingIds = requiredEvidence.filter(ev => !collectedIds.includes(ev.id) && inCart(ev.id)).map(ev => ev.id);
+    const criticalCount = requiredEvidence.filter(ev => ev.cases.find(c => c.id === caseData.id)?.is_critical).length;
+    const pendingCritical = missingEvidence.filter(ev => pendingIds.includes(ev.id)).length;
+    const pendingProgress = solved || criticalCount === 0 ? 0 : Math.min((pendingCritical / criticalCount) * 100, 100 - progress);
 
     return (
       <div className={`relative overflow-hidden rounded-2xl p-6 transition-all duration-300 hover:scale-[1.02] ${solved ? 'bg-gradient-to-br from-green-50 to-emerald-100 border-2 border-green-400 shadow-green-200' :
+        reopened ? 'bg-gradient-to-br from-orange-50 to-amber-50 border-2 border-orange-300' :
         'bg-white border-2 border-slate-200'
         } shadow-xl`}>
         <div className="flex items-start justify-between mb-4">
           <div>
             <div className="flex items-center gap-2 mb-2">
-              {solved ? <CheckCircle className="text-green-600" size={24} /> : <Lock className="text-amber-600" size={24} />}
+              {solved ? <CheckCircle className="text-green-600" size={24} /> :
+                reopened ? <RotateCcw className="text-orange-600" size={24} /> :
+                <Lock className="text-amber-600" size={24} />}
               <span className="text-sm font-mono text-slate-500">{caseData.number}</span>
+              {reopened && (
+                <span className="px-2 py-0.5 rounded-full bg-orange-100 text-orange-700 text-xs font-semibold uppercase tracking-wide">
+                  Reopened
+                </span>
+              )}
             </div>
             <h3 className="text-2xl font-bold text-slate-800">{caseData.title}</h3>
           </div>
@@ -138,11 +503,21 @@ export default function CrimeLab() {
         <div className="space-y-3">
           <div className="flex items-center justify-between text-sm">
             <span className="font-semibold text-slate-700">Progress</span>
-            <span className="font-mono text-slate-600">{Math.round(progress)}%</span>
+            <span className="font-mono text-slate-600">
+              {Math.round(progress)}%
+              {pendingProgress > 0 && <span className="text-amber-600"> (+{Math.round(pendingProgress)}% pending checkout)</span>}
+            </span>
           </div>
-          <div className="h-3 bg-slate-200 rounded-full overflow-hidden">
+          <div className="h-3 bg-slate-200 rounded-full overflow-hidden flex">
             <div className={`h-full transition-all duration-500 ${solved ? 'bg-gradient-to-r from-green-500 to-emerald-600' : 'bg-gradient-to-r from-blue-500 to-cyan-600'
               }`} style={{ width: `${progress}%` }} />
+            <div className="h-full bg-amber-400/70 transition-all duration-500" style={{ width: `${pendingProgress}%` }} />
+          </div>
+          <div className="flex gap-4 text-xs text-slate-500">
+            <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-blue-500" /> {collectedIds.length} collected</span>
+            {pendingIds.length > 0 && (
+              <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full bg-amber-400" /> {pendingIds.length} pending checkout</span>
+            )}
           </div>
         </div>
 
@@ -150,16 +525,40 @@ export default function CrimeLab() {
           <div className="text-sm font-semibold text-slate-700 mb-3">Required Evidence:</div>
           <div className="grid grid-cols-2 gap-2">
             {requiredEvidence.map(ev => (
-              <div key={ev.id} className={`px-3 py-2 rounded-lg text-xs font-medium transition-colors ${collectedEvidence.some(c => c.id === ev.id) ?
+              <div key={ev.id} className={`px-3 py-2 rounded-lg text-xs font-medium transition-colors ${collectedIds.includes(ev.id) ?
                 'bg-gradient-to-r from-blue-500 to-cyan-500 text-white shadow-md' :
+                pendingIds.includes(ev.id) ? 'bg-amber-50 text-amber-800 border border-dashed border-amber-400' :
                 'bg-slate-100 text-slate-600'
                 }`}>
                 {ev.name}
+                {pendingIds.includes(ev.id) && <ShoppingCart size={12} className="inline ml-1 -mt-0.5" />}
+                {!ev.cases.find(c => c.id === caseData.id)?.is_critical && <span className="ml-1 opacity-70">(optional)</span>}
               </div>
             ))}
           </div>
         </div>
 
+        {!solved && missingEvidence.length > 0 && (
+          <div className="mt-6 p-4 bg-slate-50 border border-slate-200 rounded-xl">
+            <div className="text-sm text-slate-600 mb-3">
+              Missing: {missingEvidence.map(ev => ev.name).join(', ')}
+            </div>
+            <button
+              onClick={() => solveCase(caseData.id)}
+              disabled={missingEvidence.some(ev => ev.available === false)}
+              className="w-full bg-gradient-to-r from-green-600 to-emerald-600 text-white py-3 rounded-xl font-bold shadow-lg hover:shadow-xl transition-all duration-200 hover:scale-105 disabled:opacity-50 disabled:hover:scale-100"
+            >
+              Solve this case · {missingEvidence.length} item{missingEvidence.length === 1 ? '' : 's'} · ${missingTotal}
+            </button>
+          </div>
+        )}
+
+        {reopened && (
+          <div className="mt-6 p-3 bg-orange-100 border border-orange-300 rounded-xl text-sm text-orange-800">
+            Evidence for this case was refunded or its order cancelled. Collect the missing evidence again to re-solve it.
+          </div>
+        )}
+
         {solved && (
           <div className="mt-6 p-4 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl text-white">
             <div className="font-bold mb-2 flex items-center gap-2">
@@ -172,14 +571,76 @@ export default function CrimeLab() {
     );
   };
 
+  // Heatmap badge: hotter colours for evidence closer to the top engagement score
+  const TrendingBadge = ({ stats }) => {
+    if (!stats) return null;
+    const color = stats.heat >= 0.75 ? 'bg-red-500' : stats.heat >= 0.5 ? 'bg-orange-500' : 'bg-amber-400';
+    return (
+      <span
+        title={`${stats.views} views, ${stats.cart_adds} cart adds in the last hour`}
+        className={`absolute top-3 right-3 px-2 py-0.5 ${color} text-white text-xs font-bold rounded-full shadow`}
+      >
+        🔥 Trending
+      </span>
+    );
+  };
+
   const InternalView = () => {
     const resetProgress = async () => {
-      if (!confirm('Reset all progress? This will clear purchases and unsolved cases.')) return;
+      if (!confirm('Reset your progress? This will clear your collected evidence and solved cases.')) return;
 
-      await fetch(`${API_BASE}/reset-progress`, { method: 'POST' });
+      const response = await fetch(`${API_BASE}/reset-progress`, {
+        method: 'POST',
+        headers: { ...PLAYER_HEADERS, Authorization: `Bearer ${operator.token}` }
+      });
+      if (!response.ok) {
+        alert(`Reset failed: ${(await response.json()).error}`);
+        return;
+      }
       window.location.reload();
     };
 
+    const purgeCache = async () => {
+      const response = await fetch(`${API_BASE}/cache/purge`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${operator.token}` }
+      });
+      if (!response.ok) {
+        alert(`Purge failed: ${(await response.json()).error}`);
+        return;
+      }
+      setEvidenceCache({ ...evidenceCache, status: 'PURGED', age: 0 });
+    };
+
+    const runRollup = async () => {
+      const response = await fetch(`${API_BASE}/analytics/rollup`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${operator.token}` }
+      });
+      if (!response.ok) {
+        alert(`Rollup failed: ${(await response.json()).error}`);
+        return;
+      }
+      setCaseAnalytics(await fetch(`${API_BASE}/analytics/cases`, {
+        headers: { Authorization: `Bearer ${operator.token}` }
+      }).then(r => r.json()));
+    };
+
+    // Funnel bars are sized against the widest stage, so a quiet week still reads
+    const funnelStages = [
+      { key: 'views', label: 'Views', color: 'bg-indigo-500' },
+      { key: 'cart_adds', label: 'Cart Adds', color: 'bg-violet-500' },
+      { key: 'purchases', label: 'Purchases', color: 'bg-fuchsia-500' },
+      { key: 'completions', label: 'Completions', color: 'bg-green-500' }
+    ];
+    const funnel = caseAnalytics?.funnel || {};
+    const funnelMax = Math.max(1, ...funnelStages.map(stage => funnel[stage.key] || 0));
+
+    const submitToken = (e) => {
+      e.preventDefault();
+      verifyOperatorToken(new FormData(e.target).get('token').trim());
+    };
+
     return (
       <div>
         <div className="space-y-6">
@@ -188,20 +649,115 @@ export default function CrimeLab() {
               <Database size={24} />
               Database Metrics (Neon Postgres)
             </h3>
-            <div className="grid grid-cols-3 gap-4">
-              <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4">
-                <div className="text-sm text-blue-700 mb-1">Total Cases</div>
-                <div className="text-3xl font-bold text-blue-900">{dbMetrics.total_cases || 0}</div>
+            {!dbMetrics ? (
+              <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4 text-sm text-blue-700">
+                {operator ? 'Loading metrics...' : 'Sign in with an operator token to see database metrics'}
               </div>
-              <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4">
-                <div className="text-sm text-green-700 mb-1">Solved Cases</div>
-                <div className="text-3xl font-bold text-green-700">{dbMetrics.solved_cases || 0}</div>
-              </div>
-              <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4">
-                <div className="text-sm text-purple-700 mb-1">Evidence Items</div>
-                <div className="text-3xl font-bold text-purple-700">{dbMetrics.evidence_count || 0}</div>
+            ) : (
+              <div className="grid grid-cols-3 gap-4">
+                <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4">
+                  <div className="text-sm text-blue-700 mb-1">Total Cases</div>
+                  <div className="text-3xl font-bold text-blue-900">{dbMetrics.total_cases || 0}</div>
+                </div>
+                <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4">
+                  <div className="text-sm text-green-700 mb-1">Solved Cases</div>
+                  <div className="text-3xl font-bold text-green-700">{dbMetrics.solved_cases || 0}</div>
+                </div>
+                <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4">
+                  <div className="text-sm text-purple-700 mb-1">Evidence Items</div>
+                  <div className="text-3xl font-bold text-purple-700">{dbMetrics.evidence_count || 0}</div>
+                </div>
               </div>
+            )}
+          </div>
+
+          <div className="bg-gradient-to-br from-indigo-50 to-violet-100 border-2 border-indigo-300 rounded-2xl p-6 shadow-xl">
+            <h3 className="text-lg font-bold mb-4 flex items-center gap-2 text-indigo-900">
+              <Zap size={24} />
+              Case Funnel
+              <span className="ml-auto text-xs font-normal font-mono text-indigo-700">
+                {!operator
+                  ? 'sign in to see the funnel'
+                  : caseAnalytics?.rolled_up_through
+                    ? `rolled up ${new Date(caseAnalytics.rolled_up_through).toLocaleString()}`
+                    : 'not rolled up yet'}
+              </span>
+              {canReset && (
+                <button onClick={runRollup} className="px-2 py-0.5 bg-indigo-200 text-indigo-900 text-xs font-normal rounded">
+                  Roll Up Now
+                </button>
+              )}
+            </h3>
+            <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4 space-y-2">
+              {funnelStages.map(stage => (
+                <div key={stage.key} className="flex items-center gap-3 text-sm">
+                  <span className="w-24 text-indigo-800">{stage.label}</span>
+                  <div className="flex-1 bg-indigo-100 rounded-full h-4">
+                    <div
+                      className={`${stage.color} h-4 rounded-full transition-all duration-500`}
+                      style={{ width: `${((funnel[stage.key] || 0) / funnelMax) * 100}%` }}
+                    />
+                  </div>
+                  <span className="w-12 text-right font-bold text-indigo-900">{funnel[stage.key] || 0}</span>
+                </div>
+              ))}
             </div>
+            {caseAnalytics?.cases?.length > 0 && (
+              <div className="mt-4 bg-white/70 backdrop-blur-sm rounded-xl p-4 space-y-1">
+                {caseAnalytics.cases.map(c => (
+                  <div key={c.case_id} className="flex items-center gap-3 text-sm">
+                    <span className="w-20 font-mono text-xs font-bold text-indigo-700">{c.case_number}</span>
+                    <span className="flex-1 text-indigo-900 truncate">{c.title}</span>
+                    <span className="font-mono text-xs text-indigo-700">
+                      {c.views} → {c.cart_adds} → {c.purchases} → {c.completions}
+                    </span>
+                    <span className="w-24 text-right text-xs text-indigo-600">
+                      {c.avg_time_to_solve_minutes != null ? `~${c.avg_time_to_solve_minutes} min to solve` : '—'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gradient-to-br from-rose-50 to-orange-100 border-2 border-rose-300 rounded-2xl p-6 shadow-xl">
+            <h3 className="text-lg font-bold mb-4 flex items-center gap-2 text-rose-900">
+              <Zap size={24} />
+              Evidence Engagement (MongoDB, last hour)
+            </h3>
+            {engagement.length === 0 ? (
+              <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4 text-sm text-rose-700">No engagement in the last hour</div>
+            ) : (
+              <table className="w-full text-sm bg-white/70 backdrop-blur-sm rounded-xl overflow-hidden">
+                <thead>
+                  <tr className="text-left text-xs text-rose-700">
+                    <th className="p-2">Evidence</th>
+                    <th className="p-2 text-right">Views</th>
+                    <th className="p-2 text-right">Viewers</th>
+                    <th className="p-2 text-right">Avg Dwell</th>
+                    <th className="p-2 text-right">Scroll</th>
+                    <th className="p-2 text-right">Cart +/−</th>
+                    <th className="p-2 text-right">Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {engagement.map(row => (
+                    <tr key={row.evidence_id} className="border-t border-rose-100 text-rose-900">
+                      <td className="p-2">
+                        <span className="inline-block w-2 h-2 rounded-full bg-red-500 mr-2" style={{ opacity: Math.max(row.heat, 0.1) }} />
+                        {evidence.find(e => e.id === row.evidence_id)?.name || row.evidence_id}
+                      </td>
+                      <td className="p-2 text-right">{row.views}</td>
+                      <td className="p-2 text-right">{row.unique_viewers}</td>
+                      <td className="p-2 text-right">{row.avg_time_on_page != null ? `${row.avg_time_on_page}s` : '—'}</td>
+                      <td className="p-2 text-right">{row.avg_scroll_depth != null ? `${row.avg_scroll_depth}%` : '—'}</td>
+                      <td className="p-2 text-right">{row.cart_adds} / {row.cart_removes}</td>
+                      <td className="p-2 text-right font-bold">{row.engagement_score}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
 
           <div className="bg-gradient-to-br from-amber-50 to-yellow-100 border-2 border-amber-300 rounded-2xl p-6 shadow-xl">
@@ -220,17 +776,76 @@ export default function CrimeLab() {
               </div>
               <div className="flex justify-between items-center">
                 <span className="text-amber-800">Cache Strategy:</span>
-                <span className="font-mono text-xs text-amber-700">Edge w/ 5min TTL</span>
+                <span className="font-mono text-xs text-amber-700">
+                  Edge w/ {Math.round((evidenceCache.ttl || 300) / 60)}min TTL, stale-while-revalidate
+                </span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-amber-800">Evidence Cache:</span>
+                <span className="flex items-center gap-2">
+                  <span className="px-3 py-1 bg-amber-500 text-white text-xs font-bold rounded-full">
+                    {evidenceCache.status || 'UNKNOWN'}
+                  </span>
+                  <span className="font-mono text-xs text-amber-700">age {evidenceCache.age || 0}s</span>
+                  {canReset && (
+                    <button onClick={purgeCache} className="px-2 py-0.5 bg-amber-200 text-amber-900 text-xs rounded">
+                      Purge
+                    </button>
+                  )}
+                </span>
               </div>
             </div>
           </div>
+
+          <div className="bg-gradient-to-br from-slate-50 to-slate-100 border-2 border-slate-300 rounded-2xl p-6 shadow-xl">
+            <h3 className="text-lg font-bold mb-4 flex items-center gap-2 text-slate-900">
+              <Zap size={24} />
+              Worker Routes
+            </h3>
+            <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4 space-y-2">
+              {routes.map(route => (
+                <div key={`${route.methods.join()} ${route.path}`} className="flex items-center gap-3 text-sm">
+                  <span className="w-16 font-mono text-xs font-bold text-slate-700">{route.methods.join(', ')}</span>
+                  <span className="font-mono text-slate-900">{route.path}</span>
+                  <span className="flex-1 text-slate-500">{route.description}</span>
+                  {route.middleware.filter(name => name !== 'cors').map(name => (
+                    <span key={name} className="px-2 py-0.5 bg-slate-200 text-slate-700 text-xs rounded-full font-mono">{name}</span>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
         </div>
-        <button
-          onClick={resetProgress}
-          className="mt-4 px-4 py-2 bg-red-600 text-white rounded"
-        >
-          Reset Progress
-        </button>
+        {operator ? (
+          <div className="mt-4 flex items-center gap-3">
+            <span className="text-sm text-slate-600">
+              Signed in as <span className="font-mono">{operator.subject}</span> ({operator.role})
+            </span>
+            {canReset && (
+              <button
+                onClick={resetProgress}
+                className="px-4 py-2 bg-red-600 text-white rounded"
+              >
+                Reset Progress
+              </button>
+            )}
+            <button onClick={signOutOperator} className="px-4 py-2 bg-slate-200 rounded">
+              Sign Out
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={submitToken} className="mt-4 flex items-center gap-3">
+            <input
+              name="token"
+              type="password"
+              placeholder="Operator API key or token"
+              className="flex-1 px-3 py-2 border border-slate-300 rounded font-mono text-sm"
+            />
+            <button type="submit" className="px-4 py-2 bg-slate-800 text-white rounded">
+              Sign In
+            </button>
+          </form>
+        )}
       </div>
     );
   };
@@ -296,7 +911,7 @@ export default function CrimeLab() {
               className="px-5 py-2.5 rounded-xl bg-gradient-to-r from-green-600 to-emerald-600 text-white font-semibold shadow-lg hover:shadow-xl transition-all duration-200 flex items-center gap-2 hover:scale-105"
             >
               <ShoppingCart size={20} />
-              Cart ({cart.length})
+              Cart ({cart.lines.length})
             </button>
           </div>
         </div>
@@ -314,22 +929,65 @@ export default function CrimeLab() {
         )}
 
         {activeView === 'evidence' && (
-          <div className="grid grid-cols-3 gap-6">
-            {availableEvidence.map(item => (
-              <div key={item.id} className="group bg-white rounded-2xl p-6 border-2 border-slate-200 shadow-lg hover:shadow-2xl hover:scale-105 transition-all duration-300 hover:border-blue-400">
-                <div className="text-4xl mb-4">📋</div>
-                <h3 className="font-bold text-xl mb-2 text-slate-800">{item.name}</h3>
-                <p className="text-slate-600 text-sm mb-6 leading-relaxed">{item.description}</p>
-                <div className="flex items-center justify-between">
-                  <span className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-cyan-600 bg-clip-text text-transparent">
-                    ${item.price}
-                  </span>
-                  <button
-                    onClick={() => addToCart(item.id)}
-                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-cyan-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all duration-200 hover:scale-110"
-                  >
-                    Add to Cart
-                  </button>
+          <div className="space-y-10">
+            <div className="flex items-center gap-3">
+              <label className="text-sm font-semibold text-slate-700">Difficulty:</label>
+              <select
+                value={storeDifficulty}
+                onChange={e => setStoreDifficulty(e.target.value)}
+                className="px-3 py-2 border border-slate-300 rounded-lg bg-white text-sm"
+              >
+                <option value="">All cases</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+              </select>
+            </div>
+            {storeGroups.map(group => (
+              <div key={group.key}>
+                <h2 className="text-xl font-bold text-slate-800 mb-4 flex items-center gap-3">
+                  {group.title}
+                  {group.difficulty && (
+                    <span className="px-2 py-0.5 bg-slate-200 text-slate-700 text-xs rounded-full uppercase">{group.difficulty}</span>
+                  )}
+                </h2>
+                <div className="grid grid-cols-3 gap-6">
+                  {group.items.map(item => (
+                    <div
+                      key={item.id}
+                      ref={trackEvidenceCard}
+                      data-evidence-id={item.id}
+                      className="relative group bg-white rounded-2xl p-6 border-2 border-slate-200 shadow-lg hover:shadow-2xl hover:scale-105 transition-all duration-300 hover:border-blue-400"
+                    >
+                      <TrendingBadge stats={trendingFor(item.id)} />
+                      {item.image ? (
+                        <img src={item.image.url} alt={item.image.alt || item.name} className="w-full h-32 object-cover rounded-xl mb-4" />
+                      ) : (
+                        <div className="text-4xl mb-4">📋</div>
+                      )}
+                      <h3 className="font-bold text-xl mb-2 text-slate-800">{item.name}</h3>
+                      <p className="text-slate-600 text-sm mb-4 leading-relaxed">{item.description}</p>
+                      {item.tags?.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mb-4">
+                          {item.tags.map(tag => (
+                            <span key={tag} className="px-2 py-0.5 bg-slate-100 text-slate-600 text-xs rounded-full">{tag}</span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="flex items-center justify-between">
+                        <span className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-cyan-600 bg-clip-text text-transparent">
+                          ${item.price}
+                        </span>
+                        <button
+                          onClick={() => addToCart(item.id)}
+                          disabled={item.available === false || inCart(item.id)}
+                          className="px-4 py-2 bg-gradient-to-r from-blue-600 to-cyan-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all duration-200 hover:scale-110 disabled:opacity-50 disabled:hover:scale-100"
+                        >
+                          {item.available === false ? 'Sold Out' : inCart(item.id) ? 'In Cart' : 'Add to Cart'}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
                 </div>
               </div>
             ))}
@@ -339,6 +997,13 @@ export default function CrimeLab() {
         {activeView === 'internals' && <InternalView />}
       </div>
 
+      {/* Other players' progress milestones */}
+      {progressNotice && (
+        <div className="fixed bottom-8 left-8 z-50 bg-slate-900/90 text-white px-5 py-3 rounded-xl shadow-2xl text-sm">
+          🕵️ Someone is {progressNotice.progress_percentage}% through <span className="font-bold">{progressNotice.title || progressNotice.case_number}</span>
+        </div>
+      )}
+
       {/* Cart Sidebar */}
       {
         showCart && (
@@ -353,7 +1018,11 @@ export default function CrimeLab() {
               </button>
             </div>
 
-            {cart.length === 0 ? (
+            {cartError && (
+              <p className="text-sm text-red-600 bg-red-50 rounded-lg p-2 mb-4">{cartError}</p>
+            )}
+
+            {cart.lines.length === 0 ? (
               <div className="text-center py-8">
                 <ShoppingCart size={48} className="mx-auto text-slate-300 mb-3" />
                 <p className="text-slate-500">Your cart is empty</p>
@@ -362,12 +1031,12 @@ export default function CrimeLab() {
             ) : (
               <>
                 <div className="space-y-2 mb-6 max-h-48 overflow-y-auto">
-                  {cart.map((item, i) => (
-                    <div key={i} className="flex justify-between items-center text-sm bg-slate-50 p-2 rounded-lg">
-                      <span className="text-slate-700 flex-1">{item.name}</span>
-                      <span className="font-bold text-blue-600 mr-2">${item.price}</span>
+                  {cart.lines.map(line => (
+                    <div key={line.line_id} className="flex justify-between items-center text-sm bg-slate-50 p-2 rounded-lg">
+                      <span className="text-slate-700 flex-1">{line.name}</span>
+                      <span className="font-bold text-blue-600 mr-2">${line.price}</span>
                       <button
-                        onClick={() => removeFromCart(i)}
+                        onClick={() => removeFromCart(line.evidence_id)}
                         className="text-red-500 hover:text-red-700 text-xs px-2 py-1"
                       >
                         Remove
@@ -375,11 +1044,54 @@ export default function CrimeLab() {
                     </div>
                   ))}
                 </div>
+                <form onSubmit={applyDiscountCode} className="flex gap-2 mb-3">
+                  <input
+                    value={discountInput}
+                    onChange={e => setDiscountInput(e.target.value)}
+                    placeholder="Discount code"
+                    className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!discountInput.trim()}
+                    className="px-4 py-2 bg-slate-800 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                </form>
+                {cart.discount_codes.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {cart.discount_codes.map(d => (
+                      <span key={d.code} className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-mono ${d.applicable ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-400 line-through'}`}>
+                        {d.code}
+                        <button
+                          onClick={() => updateDiscountCodes(cart.discount_codes.filter(other => other.code !== d.code).map(other => other.code))}
+                          className="no-underline hover:text-red-600"
+                        >
+                          ✕
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {cart.rejected?.map(r => (
+                  <p key={r.code} className="text-xs text-red-600 mb-2">{r.message}</p>
+                ))}
                 <div className="border-t pt-4">
+                  <div className="flex justify-between text-sm text-slate-600 mb-1">
+                    <span>Subtotal</span>
+                    <span>${cart.subtotal}</span>
+                  </div>
+                  {Number(cart.discount) > 0 && (
+                    <div className="flex justify-between text-sm text-green-700 mb-1">
+                      <span>Savings</span>
+                      <span>−${cart.discount}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between font-bold mb-4 text-lg">
                     <span className="text-slate-800">Total</span>
                     <span className="bg-gradient-to-r from-blue-600 to-cyan-600 bg-clip-text text-transparent">
-                      ${cart.reduce((sum, item) => sum + parseFloat(item.price), 0).toFixed(2)}
+                      ${cart.total}
                     </span>
                   </div>
                   <button
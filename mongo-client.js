@@ -0,0 +1,152 @@
+// MongoDB Data API client for the Worker
+//
+// Speaks the Atlas Data API's /action/<name> endpoints - insertOne, insertMany, find,
+// updateOne, deleteOne and aggregate - against one data source and database. Requests go out as
+// Extended JSON, so { $date: ... } values (see mongoDate) are stored as BSON dates.
+// 429s are retried with exponential backoff, and so are network failures and 5xxs for
+// actions that are safe to repeat: reads, updateOne, deleteOne, and inserts whose
+// documents all carry an _id (a repeat fails on the duplicate key rather than storing a
+// second copy). Anything else that fails surfaces as a MongoDataApiError carrying the
+// HTTP status and the Data API's error_code.
+//
+// The transport is any fetch-compatible function, so the client can run against
+// mongodb-data-api.js (the docker-compose stand-in) or a function answering in-process.
+
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 250;
+
+export class MongoDataApiError extends Error {
+  constructor(message, { action, status = null, code = null } = {}) {
+    super(message);
+    this.name = 'MongoDataApiError';
+    this.action = action;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Extended JSON date, so the Data API stores a BSON date rather than a string
+export function mongoDate(date = new Date()) {
+  return { $date: date.toISOString() };
+}
+
+// A client for the Worker's bindings (MONGODB_DATA_API, MONGODB_API_KEY, MONGODB_CLUSTER);
+// the database is MONGODB_URI's path
+export function mongoClientForEnv(env) {
+  return new MongoDataClient({
+    endpoint: env.MONGODB_DATA_API,
+    apiKey: env.MONGODB_API_KEY,
+    dataSource: env.MONGODB_CLUSTER || 'Cluster0',
+    database: new URL(env.MONGODB_URI).pathname.slice(1) || 'crimelab',
+  });
+}
+
+export class MongoDataClient {
+  // endpoint is the Data API base URL (MONGODB_DATA_API), e.g. http://localhost:8080 locally
+  constructor({ endpoint, apiKey, dataSource = 'Cluster0', database, transport, maxRetries = MAX_RETRIES } = {}) {
+    this.endpoint = String(endpoint || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.dataSource = dataSource;
+    this.database = database;
+    this.transport = transport || ((url, init) => fetch(url, init));
+    this.maxRetries = maxRetries;
+  }
+
+  // Returns the inserted id as a string
+  async insertOne(collection, document) {
+    const result = await this.action('insertOne', collection, { document }, { idempotent: document._id != null });
+    return idString(result.insertedId);
+  }
+
+  // Returns the inserted ids as strings, in document order
+  async insertMany(collection, documents) {
+    const result = await this.action('insertMany', collection, { documents }, {
+      idempotent: documents.every(document => document._id != null),
+    });
+    return (result.insertedIds || []).map(idString);
+  }
+
+  // Returns the matching documents
+  async find(collection, { filter = {}, projection, sort, limit, skip } = {}) {
+    return (await this.action('find', collection, { filter, projection, sort, limit, skip })).documents;
+  }
+
+  // Returns { matchedCount, modifiedCount, upsertedId? }
+  async updateOne(collection, filter, update, { upsert = false } = {}) {
+    return this.action('updateOne', collection, { filter, update, upsert });
+  }
+
+  // Returns { deletedCount }
+  async deleteOne(collection, filter) {
+    return this.action('deleteOne', collection, { filter });
+  }
+
+  // Returns the pipeline's output documents
+  async aggregate(collection, pipeline) {
+    return (await this.action('aggregate', collection, { pipeline })).documents;
+  }
+
+  // POST /action/<name> with retries (only for 429s unless `idempotent`); returns the
+  // parsed response body
+  async action(name, collection, args, { idempotent = true } = {}) {
+    const init = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/ejson',
+        'Accept': 'application/json',
+        'api-key': this.apiKey,
+      },
+      body: JSON.stringify({
+        dataSource: this.dataSource,
+        database: this.database,
+        collection,
+        ...args,
+      }),
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await this.transport(`${this.endpoint}/action/${name}`, init);
+      } catch (error) {
+        if (!idempotent || attempt >= this.maxRetries) {
+          throw new MongoDataApiError(`MongoDB ${name} on ${collection} failed: ${error.message}`, { action: name });
+        }
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      const retryable = response.status === 429 || (idempotent && response.status >= 500);
+      if (retryable && attempt < this.maxRetries) {
+        console.warn(`MongoDB ${name} returned ${response.status}; retry ${attempt + 1} of ${this.maxRetries}`);
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      const result = await response.json().catch(() => null);
+      if (!response.ok) {
+        const detail = result?.error || response.statusText;
+        throw new MongoDataApiError(`MongoDB ${name} on ${collection} failed: ${response.status} ${detail}`, {
+          action: name,
+          status: response.status,
+          code: result?.error_code || null,
+        });
+      }
+      return result || {};
+    }
+  }
+}
+
+// Atlas answers plain JSON ids; Extended JSON (the local stand-in) wraps ObjectIds as
+// { $oid }. Either way callers get the hex string.
+function idString(id) {
+  return id?.$oid ?? (id == null ? id : String(id));
+}
+
+function backoff(attempt) {
+  return BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,97 @@
+// Local stand-in for the MongoDB Atlas Data API
+// Serves the /action/* endpoints the Worker uses, backed by the docker-compose MongoDB.
+// Run by docker-compose as the mongo-data-api service; not deployed anywhere.
+
+import http from 'node:http';
+
+import { BSON, MongoClient } from 'mongodb';
+
+const { EJSON } = BSON;
+
+const PORT = process.env.PORT || 8080;
+const API_KEY = process.env.MONGODB_API_KEY;
+const client = new MongoClient(process.env.MONGODB_URI);
+
+// Each action mirrors the Data API request/response shape
+const actions = {
+  async insertOne(collection, { document }) {
+    const result = await collection.insertOne(document);
+    return { insertedId: result.insertedId };
+  },
+
+  async insertMany(collection, { documents }) {
+    const result = await collection.insertMany(documents);
+    return { insertedIds: Object.values(result.insertedIds) };
+  },
+
+  async find(collection, { filter = {}, projection, sort, limit, skip }) {
+    const documents = await collection
+      .find(filter, { projection, sort, limit, skip })
+      .toArray();
+    return { documents };
+  },
+
+  async findOne(collection, { filter = {}, projection }) {
+    const document = await collection.findOne(filter, { projection });
+    return { document };
+  },
+
+  async updateOne(collection, { filter = {}, update, upsert = false }) {
+    const result = await collection.updateOne(filter, update, { upsert });
+    return {
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      ...(result.upsertedId ? { upsertedId: result.upsertedId } : {}),
+    };
+  },
+
+  async deleteOne(collection, { filter = {} }) {
+    const result = await collection.deleteOne(filter);
+    return { deletedCount: result.deletedCount };
+  },
+
+  async aggregate(collection, { pipeline = [] }) {
+    const documents = await collection.aggregate(pipeline).toArray();
+    return { documents };
+  },
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/ejson' });
+  res.end(EJSON.stringify(body, { relaxed: true }));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const server = http.createServer(async (req, res) => {
+  const match = req.url.match(/^\/action\/(\w+)$/);
+  const action = match && actions[match[1]];
+
+  if (req.method !== 'POST' || !action) {
+    return send(res, 404, { error: `Unknown action: ${req.method} ${req.url}` });
+  }
+
+  if (API_KEY && req.headers['api-key'] !== API_KEY) {
+    return send(res, 401, { error: 'Invalid API key' });
+  }
+
+  try {
+    const body = EJSON.parse(await readBody(req));
+    const collection = client.db(body.database).collection(body.collection);
+    send(res, 200, await action(collection, body));
+  } catch (error) {
+    console.error(`${match[1]} failed:`, error.message);
+    send(res, 400, { error: error.message, error_code: error.codeName || 'InvalidParameter' });
+  }
+});
+
+await client.connect();
+server.listen(PORT, () => {
+  console.log(`MongoDB Data API stand-in listening on :${PORT}`);
+});
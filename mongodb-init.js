@@ -13,7 +13,7 @@ db.createCollection('activities', {
       properties: {
         type: {
           bsonType: 'string',
-          enum: ['case_viewed', 'cart_add', 'cart_remove', 'checkout_created', 'case_solved', 'connection_count']
+          enum: ['case_viewed', 'cart_add', 'cart_remove', 'checkout_created', 'case_solved', 'case_progress', 'case_reopened', 'connection_count']
         },
         timestamp: {
           bsonType: 'date'
@@ -23,6 +23,12 @@ db.createCollection('activities', {
         },
         data: {
           bsonType: 'object'
+        },
+        ip_hash: {
+          bsonType: 'string'
+        },
+        user_agent: {
+          bsonType: 'string'
         }
       }
     }
@@ -19,7 +19,7 @@ db.createCollection("activities");
 
 // Document schema (enforced via application, not MongoDB)
 const activitySchema = {
-  type: String,           // e.g., 'cart_add', 'case_viewed', 'checkout_created', 'case_solved'
+  type: String,           // e.g., 'cart_add', 'case_viewed', 'checkout_created', 'case_progress', 'case_solved', 'case_reopened'
   timestamp: Date,        // When the activity occurred
   worker_id: String,      // UUID of the Worker instance that logged it
   
@@ -77,6 +77,16 @@ db.activities.insertMany([
       order_id: '1234567890',
       solved_by_purchase: true
     }
+  },
+  {
+    type: 'case_reopened',
+    timestamp: new ISODate(),
+    worker_id: 'cf-worker-jkl012',
+    data: {
+      case_ids: [1],
+      order_id: '1234567890',
+      reason: 'refund'
+    }
   }
 ]);
 
@@ -120,13 +130,15 @@ db.connections.createIndex({ session_id: 1 });
 
 db.createCollection("evidence_engagement");
 
+// Views and dwells come from the Evidence Store (POST /evidence/engagement), cart adds
+// and removes from the Worker's cart routes
 const engagementSchema = {
   evidence_id: String,     // Shopify product ID
-  event_type: String,      // 'view' | 'cart_add' | 'cart_remove'
+  event_type: String,      // 'view' | 'dwell' | 'cart_add' | 'cart_remove'
   timestamp: Date,
-  session_id: String,
-  metadata: {
-    time_on_page: Number,  // Seconds spent viewing
+  session_id: String,      // Player id (X-Player-Id), null when unknown
+  metadata: {              // Dwells only
+    time_on_page: Number,  // Seconds the card stayed on screen
     scroll_depth: Number,  // % of page scrolled
   }
 };
@@ -139,6 +151,7 @@ db.evidence_engagement.createIndex(
 db.evidence_engagement.createIndex({ evidence_id: 1, timestamp: -1 });
 
 // Aggregation pipeline example: Evidence popularity in last hour
+// (GET /evidence/engagement runs an extended version that also weighs dwell and cart adds)
 db.evidence_engagement.aggregate([
   {
     $match: {
@@ -174,13 +187,22 @@ db.evidence_engagement.aggregate([
 
 db.createCollection("case_progress");
 
+// Kept by the Worker's updateCaseProgress() on every cart change, purchase and refund;
+// read back through GET /progress
 const progressSchema = {
-  session_id: String,      // Client session
+  session_id: String,      // Player id (X-Player-Id)
   case_id: Number,         // Which case
-  collected_evidence: [String],  // Evidence IDs in cart
-  progress_percentage: Number,   // % complete
+  case_number: String,
+  title: String,
+  collected_evidence: [String],  // Evidence IDs owned (paid for)
+  pending_evidence: [String],    // Evidence IDs in the cart, pending checkout
+  collected_percentage: Number,  // % of critical evidence owned
+  progress_percentage: Number,   // % owned or in the cart
   last_updated: Date,
-  is_solvable: Boolean,    // Has all required evidence?
+  is_solvable: Boolean,    // Would checking out the cart solve it?
+  is_solved: Boolean,
+  cart_id: String,         // Shopify cart the pending evidence sits in
+  announced_milestone: Number,   // Highest milestone (50, 75) broadcast as case_progress
 };
 
 db.case_progress.createIndex({ session_id: 1, case_id: 1 }, { unique: true });
@@ -306,6 +328,8 @@ async function getActiveConnectionCount(db) {
 
 /**
  * Update case progress for a session
+ * (sketch only - the Worker's updateCaseProgress() in worker.js maintains the real
+ * documents, splitting collected from pending-checkout evidence)
  */
 async function updateCaseProgress(db, sessionId, caseId, evidenceIds, requiredCount) {
   const progressPct = (evidenceIds.length / requiredCount) * 100;
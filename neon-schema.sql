@@ -14,6 +14,7 @@ CREATE TABLE cases (
     difficulty VARCHAR(20) DEFAULT 'medium',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     solved_at TIMESTAMP NULL,
+    reopened_at TIMESTAMP NULL, -- Last time a refund or cancellation unsolved it
     CONSTRAINT valid_difficulty CHECK (difficulty IN ('easy', 'medium', 'hard'))
 );
 
@@ -33,32 +34,97 @@ CREATE TABLE case_evidence (
 CREATE TABLE purchases (
     id SERIAL PRIMARY KEY,
     order_id VARCHAR(100) UNIQUE NOT NULL, -- Shopify order ID
+    webhook_id VARCHAR(100) UNIQUE NULL, -- X-Shopify-Webhook-Id, for idempotent redelivery
+    player_id VARCHAR(100) NULL, -- Buyer, from the player_id cart attribute or Shopify customer
     evidence_ids TEXT[] NOT NULL, -- Array of product IDs
+    refunded_evidence_ids TEXT[] NOT NULL DEFAULT '{}', -- Given back by refunds or cancellation
     case_ids INTEGER[] NOT NULL, -- Cases solved by this purchase
     total_amount DECIMAL(10, 2) NOT NULL,
     completed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     shopify_webhook_received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Analytics rollup - updated periodically by Worker
+-- Evidence collected so far by anyone - the global "world" aggregate
+CREATE TABLE purchased_evidence (
+    id SERIAL PRIMARY KEY,
+    evidence_id VARCHAR(50) UNIQUE NOT NULL, -- Shopify product ID
+    order_id VARCHAR(100) NOT NULL, -- Order that first collected it
+    purchased_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Players - anonymous browser sessions (anon_<uuid>) or Shopify customers (customer_<id>)
+CREATE TABLE players (
+    id VARCHAR(100) PRIMARY KEY,
+    shopify_customer_id VARCHAR(50) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Evidence each player has collected
+CREATE TABLE player_evidence (
+    id SERIAL PRIMARY KEY,
+    player_id VARCHAR(100) NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    evidence_id VARCHAR(50) NOT NULL, -- Shopify product ID
+    order_id VARCHAR(100) NOT NULL, -- Order that collected it
+    collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(player_id, evidence_id)
+);
+
+-- Cases each player has solved; a reopened case keeps its row with solved_at cleared
+CREATE TABLE player_cases (
+    id SERIAL PRIMARY KEY,
+    player_id VARCHAR(100) NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    solved_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+    reopened_at TIMESTAMP NULL,
+    UNIQUE(player_id, case_id)
+);
+
+-- Analytics rollup - views, cart adds, purchases and solve time come from the Worker's
+-- analytics cron; completions are kept by solve_case()/reopen_case() as they happen
 CREATE TABLE case_analytics (
     id SERIAL PRIMARY KEY,
     case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
     views INTEGER DEFAULT 0,
     cart_adds INTEGER DEFAULT 0,
+    purchases INTEGER DEFAULT 0, -- Orders holding any of the case's evidence
     completions INTEGER DEFAULT 0,
     avg_time_to_solve_minutes INTEGER NULL,
     last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- How far each rollup has counted MongoDB events, so every event is counted once
+CREATE TABLE analytics_rollups (
+    name VARCHAR(50) PRIMARY KEY,
+    rolled_up_through TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of destructive and admin actions - who did what, via which credential
+CREATE TABLE audit_log (
+    id SERIAL PRIMARY KEY,
+    actor VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    auth_method VARCHAR(20) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target VARCHAR(200),
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX idx_cases_solved ON cases(solved_at);
 CREATE INDEX idx_case_evidence_case ON case_evidence(case_id);
 CREATE INDEX idx_case_evidence_evidence ON case_evidence(evidence_id);
 CREATE INDEX idx_purchases_completed ON purchases(completed_at);
 CREATE INDEX idx_analytics_case ON case_analytics(case_id);
+CREATE INDEX idx_purchases_player ON purchases(player_id);
+CREATE INDEX idx_player_evidence_player ON player_evidence(player_id);
+CREATE INDEX idx_player_cases_player ON player_cases(player_id);
+CREATE INDEX idx_audit_log_created ON audit_log(created_at);
 
--- Seed data: Initial cases
+-- Seed data: the cases in shopify/manifest.json, so a fresh database has cases before
+-- the first sync
 INSERT INTO cases (case_number, title, description, solution, difficulty) VALUES
 ('C-2024-001', 'The Missing Heirloom', 
  'A 19th century pocket watch vanished from the Blackwood Estate during a dinner party. Five guests, no witnesses. The thief left traces.',
@@ -80,8 +146,9 @@ INSERT INTO cases (case_number, title, description, solution, difficulty) VALUES
  'Paint composition analysis matches a discontinued pigment available only through one supplier. The UV fluorescence pattern under forensic light reveals modern binding agents. Cross-referencing shipping manifests with the handwriting on the authentication certificates leads to a restoration studio in Prague.',
  'medium');
 
--- Evidence requirements for each case
--- These reference Shopify product IDs (you'll update these after creating products)
+-- Evidence requirements for each case, by the product handles in shopify/manifest.json.
+-- The Worker resolves handles to Shopify product ids; `npm run sync` in shopify/
+-- rewrites them to the ids. Keep this seed matching the manifest (test/sync.test.js).
 INSERT INTO case_evidence (case_id, evidence_id, is_critical) VALUES
 -- Case 1: Missing Heirloom (4 pieces)
 (1, 'FINGERPRINT_CARD', true),
@@ -147,7 +214,8 @@ CREATE OR REPLACE FUNCTION solve_case(p_case_id INTEGER)
 RETURNS VOID AS $$
 BEGIN
     UPDATE cases 
-    SET solved_at = CURRENT_TIMESTAMP 
+    SET solved_at = CURRENT_TIMESTAMP,
+        reopened_at = NULL
     WHERE id = p_case_id AND solved_at IS NULL;
     
     UPDATE case_analytics
@@ -157,46 +225,178 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function: Mark case as solved for one player (first solve also solves it for the world)
+CREATE OR REPLACE FUNCTION solve_player_case(p_player_id VARCHAR(100), p_case_id INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO player_cases (player_id, case_id)
+    VALUES (p_player_id, p_case_id)
+    ON CONFLICT (player_id, case_id) DO UPDATE
+    SET solved_at = CURRENT_TIMESTAMP,
+        reopened_at = NULL
+    WHERE player_cases.solved_at IS NULL;
+
+    -- Only count a completion when the case wasn't already solved for this player
+    IF FOUND THEN
+        PERFORM solve_case(p_case_id);
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function: Record purchase and solve cases
 CREATE OR REPLACE FUNCTION record_purchase(
     p_order_id VARCHAR(100),
     p_evidence_ids TEXT[],
     p_case_ids INTEGER[],
-    p_total DECIMAL(10, 2)
+    p_total DECIMAL(10, 2),
+    p_webhook_id VARCHAR(100) DEFAULT NULL,
+    p_player_id VARCHAR(100) DEFAULT NULL
 )
 RETURNS INTEGER AS $$
 DECLARE
     v_case_id INTEGER;
 BEGIN
-    -- Insert purchase record
-    INSERT INTO purchases (order_id, evidence_ids, case_ids, total_amount)
-    VALUES (p_order_id, p_evidence_ids, p_case_ids, p_total);
+    -- Insert purchase record (unique order_id/webhook_id rejects redeliveries)
+    INSERT INTO purchases (order_id, webhook_id, player_id, evidence_ids, case_ids, total_amount)
+    VALUES (p_order_id, p_webhook_id, p_player_id, p_evidence_ids, p_case_ids, p_total);
     
-    -- Solve each case
+    -- Solve each case, for the buyer when we know who they are
     FOREACH v_case_id IN ARRAY p_case_ids
     LOOP
-        PERFORM solve_case(v_case_id);
+        IF p_player_id IS NULL THEN
+            PERFORM solve_case(v_case_id);
+        ELSE
+            PERFORM solve_player_case(p_player_id, v_case_id);
+        END IF;
     END LOOP;
     
     RETURN array_length(p_case_ids, 1);
 END;
 $$ LANGUAGE plpgsql;
 
--- Trigger: Update analytics on case view (in real system this would be from Worker)
-CREATE OR REPLACE FUNCTION update_case_analytics()
-RETURNS TRIGGER AS $$
+-- Function: Reopen a solved case, for one player or (without one) for the world.
+-- Takes back the completion its solve counted; returns whether it was solved.
+CREATE OR REPLACE FUNCTION reopen_case(p_case_id INTEGER, p_player_id VARCHAR(100) DEFAULT NULL)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_reopened BOOLEAN;
 BEGIN
-    UPDATE case_analytics
-    SET views = views + 1,
-        last_updated = CURRENT_TIMESTAMP
-    WHERE case_id = NEW.id;
-    RETURN NEW;
+    IF p_player_id IS NULL THEN
+        UPDATE cases
+        SET solved_at = NULL,
+            reopened_at = CURRENT_TIMESTAMP
+        WHERE id = p_case_id AND solved_at IS NOT NULL;
+    ELSE
+        UPDATE player_cases
+        SET solved_at = NULL,
+            reopened_at = CURRENT_TIMESTAMP
+        WHERE player_id = p_player_id AND case_id = p_case_id AND solved_at IS NOT NULL;
+    END IF;
+    v_reopened := FOUND;
+
+    IF v_reopened THEN
+        UPDATE case_analytics
+        SET completions = GREATEST(completions - 1, 0),
+            last_updated = CURRENT_TIMESTAMP
+        WHERE case_id = p_case_id;
+    END IF;
+
+    RETURN v_reopened;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function: Un-collect evidence from a refunded or cancelled order
+CREATE OR REPLACE FUNCTION revoke_purchase(
+    p_order_id VARCHAR(100),
+    p_evidence_ids TEXT[]
+)
+RETURNS TEXT[] AS $$
+DECLARE
+    v_player_id VARCHAR(100);
+    v_bought TEXT[];
+    v_refunded TEXT[];
+    v_revoked TEXT[];
+    v_removed TEXT[];
+BEGIN
+    SELECT player_id, evidence_ids, refunded_evidence_ids
+    INTO v_player_id, v_bought, v_refunded
+    FROM purchases
+    WHERE order_id = p_order_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN '{}';
+    END IF;
+
+    -- Only what this order bought and hasn't already given back (redeliveries revoke nothing)
+    v_revoked := ARRAY(
+        SELECT unnest(v_bought) INTERSECT SELECT unnest(p_evidence_ids)
+        EXCEPT SELECT unnest(v_refunded)
+    );
+    IF cardinality(v_revoked) = 0 THEN
+        RETURN v_revoked;
+    END IF;
+
+    UPDATE purchases
+    SET refunded_evidence_ids = refunded_evidence_ids || v_revoked
+    WHERE order_id = p_order_id;
+
+    -- World: drop what this order collected, handing each item to the next
+    -- order that still holds it
+    WITH removed AS (
+        DELETE FROM purchased_evidence
+        WHERE order_id = p_order_id AND evidence_id = ANY(v_revoked)
+        RETURNING evidence_id
+    )
+    SELECT array_agg(evidence_id) INTO v_removed FROM removed;
+
+    INSERT INTO purchased_evidence (evidence_id, order_id)
+    SELECT DISTINCT ON (e.evidence_id) e.evidence_id, p.order_id
+    FROM purchases p
+    CROSS JOIN LATERAL unnest(p.evidence_ids) AS e(evidence_id)
+    WHERE e.evidence_id = ANY(v_removed)
+      AND NOT e.evidence_id = ANY(p.refunded_evidence_ids)
+      AND p.order_id <> p_order_id
+    ORDER BY e.evidence_id, p.completed_at
+    ON CONFLICT (evidence_id) DO NOTHING;
+
+    -- The buyer: the same, among their own orders
+    IF v_player_id IS NOT NULL THEN
+        WITH removed AS (
+            DELETE FROM player_evidence
+            WHERE player_id = v_player_id AND order_id = p_order_id AND evidence_id = ANY(v_revoked)
+            RETURNING evidence_id
+        )
+        SELECT array_agg(evidence_id) INTO v_removed FROM removed;
+
+        INSERT INTO player_evidence (player_id, evidence_id, order_id)
+        SELECT DISTINCT ON (e.evidence_id) v_player_id, e.evidence_id, p.order_id
+        FROM purchases p
+        CROSS JOIN LATERAL unnest(p.evidence_ids) AS e(evidence_id)
+        WHERE p.player_id = v_player_id
+          AND e.evidence_id = ANY(v_removed)
+          AND NOT e.evidence_id = ANY(p.refunded_evidence_ids)
+          AND p.order_id <> p_order_id
+        ORDER BY e.evidence_id, p.completed_at
+        ON CONFLICT (player_id, evidence_id) DO NOTHING;
+    END IF;
+
+    RETURN v_revoked;
 END;
 $$ LANGUAGE plpgsql;
 
 COMMENT ON TABLE cases IS 'Core investigative cases - the puzzles users solve by buying evidence';
 COMMENT ON TABLE case_evidence IS 'Maps Shopify product IDs to cases - defines what evidence solves which case';
 COMMENT ON TABLE purchases IS 'Denormalized purchase history from Shopify webhooks';
+COMMENT ON TABLE purchased_evidence IS 'Evidence collected across all orders - the world progress view';
+COMMENT ON TABLE players IS 'Anonymous sessions or Shopify customers with their own investigations';
+COMMENT ON TABLE player_evidence IS 'Evidence collected per player - drives per-player case progress';
+COMMENT ON TABLE player_cases IS 'Cases solved per player';
+COMMENT ON TABLE audit_log IS 'Who reset progress or changed cases, and with which role';
 COMMENT ON TABLE case_analytics IS 'Rollup metrics for monitoring and optimization';
+COMMENT ON TABLE analytics_rollups IS 'Watermarks for the Worker analytics cron';
 COMMENT ON FUNCTION solve_case IS 'Atomically marks a case as solved and updates analytics';
+COMMENT ON FUNCTION solve_player_case IS 'Marks a case solved for one player, counting each player once';
 COMMENT ON FUNCTION record_purchase IS 'Records a completed Shopify order and triggers case solving';
+COMMENT ON FUNCTION reopen_case IS 'Unsolves a case for a player or the world and takes back its completion';
+COMMENT ON FUNCTION revoke_purchase IS 'Removes refunded or cancelled evidence, keeping items another order still holds';
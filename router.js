@@ -0,0 +1,122 @@
+// Declarative router for the Imaginary Crime Lab Worker
+//
+// Routes are registered with a method, a path pattern and a handler:
+//   router.get('/cases/:id(\\d+)/evaluate', handler, { middleware: [auth('operator')], description: '...' })
+// `:name` captures one path segment into ctx.params; an optional `(regex)` constrains it
+// (use non-capturing groups inside). A path that exists but not for the request's method
+// gets 405 with an Allow header instead of 404.
+//
+// Handlers and middleware receive (request, env, ctx), where ctx carries `params`, `url`
+// and the Worker's `executionCtx`. Middleware also gets `next` and may add to ctx (e.g.
+// the authenticated principal) or return its own response to stop the chain.
+
+export class Router {
+  constructor({ middleware = [], notFound, methodNotAllowed } = {}) {
+    this.routes = [];
+    this.middleware = middleware;
+    this.notFound = notFound || (() => new Response('Not found', { status: 404 }));
+    this.methodNotAllowed = methodNotAllowed || ((allow) => new Response('Method not allowed', {
+      status: 405,
+      headers: { Allow: allow.join(', ') },
+    }));
+  }
+
+  add(methods, pattern, handler, { middleware = [], description = '' } = {}) {
+    const { regex, keys } = compilePattern(pattern);
+    this.routes.push({ methods: [].concat(methods), pattern, regex, keys, handler, middleware, description });
+    return this;
+  }
+
+  get(pattern, handler, options) {
+    return this.add('GET', pattern, handler, options);
+  }
+
+  post(pattern, handler, options) {
+    return this.add('POST', pattern, handler, options);
+  }
+
+  put(pattern, handler, options) {
+    return this.add('PUT', pattern, handler, options);
+  }
+
+  delete(pattern, handler, options) {
+    return this.add('DELETE', pattern, handler, options);
+  }
+
+  async handle(request, env, executionCtx) {
+    const url = new URL(request.url);
+    const allowed = new Set();
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(url.pathname);
+      if (!match) continue;
+
+      if (!route.methods.includes(request.method)) {
+        route.methods.forEach(method => allowed.add(method));
+        continue;
+      }
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeSegment(match[i + 1]);
+      });
+
+      const ctx = { params, url, executionCtx };
+      const chain = [...this.middleware, ...route.middleware];
+      return runChain(chain, route.handler, request, env, ctx);
+    }
+
+    if (allowed.size > 0) {
+      return this.methodNotAllowed([...allowed, 'OPTIONS']);
+    }
+    return this.notFound(request);
+  }
+
+  // Route table for GET /routes and the System Internals tab
+  table() {
+    return this.routes.map(route => ({
+      methods: route.methods,
+      path: route.pattern,
+      middleware: [...this.middleware, ...route.middleware].map(describeMiddleware),
+      description: route.description,
+    }));
+  }
+}
+
+// Run middleware in order, each deciding whether to call the next, then the handler
+function runChain(chain, handler, request, env, ctx) {
+  const dispatch = (i) => {
+    if (i === chain.length) {
+      return handler(request, env, ctx);
+    }
+    return chain[i](request, env, ctx, () => dispatch(i + 1));
+  };
+  return dispatch(0);
+}
+
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern.split('/').map(segment => {
+    const param = segment.match(/^:(\w+)(?:\((.+)\))?$/);
+    if (!param) {
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    keys.push(param[1]);
+    return `(${param[2] || '[^/]+'})`;
+  }).join('/');
+
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Middleware factories set `label` (e.g. auth:admin); plain functions fall back to their name
+function describeMiddleware(middleware) {
+  return middleware.label || middleware.name || 'anonymous';
+}
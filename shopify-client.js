@@ -0,0 +1,281 @@
+// Shopify API client shared by the Worker and the shopify/ scripts
+//
+// Pins one API version (SHOPIFY_API_VERSION unless configured) for Admin REST, Admin
+// GraphQL and Storefront GraphQL. Requests pace themselves from Shopify's own rate-limit
+// feedback - the REST X-Shopify-Shop-Api-Call-Limit bucket and the GraphQL cost
+// extension - and 429s and THROTTLED GraphQL errors are retried with exponential backoff
+// (429s honour Retry-After). 5xxs and network failures are retried only for reads and
+// other idempotent requests: a POST or a mutation may have run before it failed, and
+// repeating cartCreate or a product POST would create a second one. Mutation `userErrors` and REST 422
+// `errors` both surface as a ShopifyUserError with a flat [{ field, message, code }] list.
+
+export const SHOPIFY_API_VERSION = '2025-10';
+
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 500;
+
+// The REST bucket leaks 2 calls/second; stop short of full so other callers sharing the
+// app's limit (the Worker and a sync script, say) don't tip it into 429s
+const REST_LEAK_PER_SECOND = 2;
+const REST_BUCKET_HEADROOM = 4;
+
+export class ShopifyError extends Error {
+  constructor(message, { status = null, errors = [] } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+export class ShopifyUserError extends ShopifyError {
+  constructor(userErrors) {
+    const message = userErrors
+      .map(error => (error.field ? `${error.field}: ${error.message}` : error.message))
+      .join('; ');
+    super(message, { status: 422, errors: userErrors });
+    this.name = 'ShopifyUserError';
+    this.userErrors = userErrors;
+  }
+}
+
+export class ShopifyClient {
+  // baseUrl replaces https://<storeDomain>, e.g. to point at shopify/mock-admin-server.js
+  constructor({ storeDomain, adminToken, storefrontToken, apiVersion, baseUrl, maxRetries = MAX_RETRIES } = {}) {
+    this.baseUrl = baseUrl || `https://${storeDomain}`;
+    this.adminToken = adminToken;
+    this.storefrontToken = storefrontToken;
+    this.apiVersion = apiVersion || SHOPIFY_API_VERSION;
+    this.maxRetries = maxRetries;
+
+    // Last rate-limit readings, used to pace the next request
+    this.restBucket = null;
+    this.graphqlBudget = null;
+  }
+
+  // ---- Admin REST ----------------------------------------------------------
+
+  // `resource` is relative to /admin/api/<version>/ (e.g. 'products.json?limit=50'), or a
+  // full URL such as a Link header's next page. Returns { data, next }.
+  async rest(method, resource, body) {
+    const url = /^https?:\/\//.test(resource)
+      ? resource
+      : `${this.baseUrl}/admin/api/${this.apiVersion}/${resource}`;
+
+    await this.waitForRestBucket();
+    const response = await this.send(url, {
+      method,
+      headers: {
+        'X-Shopify-Access-Token': this.adminToken,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    }, { idempotent: method !== 'POST' });
+    this.recordRestBucket(response);
+
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+    if (response.status === 422) {
+      throw new ShopifyUserError(restUserErrors(data?.errors));
+    }
+    if (!response.ok) {
+      throw new ShopifyError(`Shopify ${method} ${resource} failed: HTTP ${response.status}`, {
+        status: response.status,
+        errors: data?.errors ? [].concat(data.errors) : [],
+      });
+    }
+
+    const next = (response.headers.get('Link') || '').match(/<([^>]+)>;\s*rel="next"/);
+    return { data, next: next ? next[1] : null };
+  }
+
+  async get(resource) {
+    return (await this.rest('GET', resource)).data;
+  }
+
+  async post(resource, body) {
+    return (await this.rest('POST', resource, body)).data;
+  }
+
+  async put(resource, body) {
+    return (await this.rest('PUT', resource, body)).data;
+  }
+
+  async delete(resource) {
+    return (await this.rest('DELETE', resource)).data;
+  }
+
+  // Every item of a paginated list, e.g. getAll('products.json?limit=250', 'products')
+  async getAll(resource, key) {
+    const items = [];
+    let next = resource;
+
+    while (next) {
+      const page = await this.rest('GET', next);
+      items.push(...page.data[key]);
+      next = page.next;
+    }
+    return items;
+  }
+
+  // ---- GraphQL -------------------------------------------------------------
+
+  adminGraphql(query, variables = {}) {
+    return this.graphql(`${this.baseUrl}/admin/api/${this.apiVersion}/graphql.json`, {
+      'X-Shopify-Access-Token': this.adminToken,
+    }, query, variables);
+  }
+
+  storefront(query, variables = {}) {
+    return this.graphql(`${this.baseUrl}/api/${this.apiVersion}/graphql.json`, {
+      'X-Shopify-Storefront-Access-Token': this.storefrontToken,
+    }, query, variables);
+  }
+
+  // Run a query, returning its data. Throws ShopifyUserError when any mutation payload
+  // carries userErrors, ShopifyError for GraphQL errors.
+  async graphql(url, authHeaders, query, variables) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForGraphqlBudget();
+      const response = await this.send(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify({ query, variables }),
+      }, { idempotent: !isMutation(query) });
+
+      const result = await response.json().catch(() => ({}));
+      this.recordGraphqlCost(result.extensions?.cost);
+
+      if (!response.ok) {
+        throw new ShopifyError(`Shopify GraphQL request failed: HTTP ${response.status}`, {
+          status: response.status,
+          errors: [].concat(result.errors || []),
+        });
+      }
+
+      // A throttled request never ran, so even a mutation can go again
+      const throttled = result.errors?.some(error => error.extensions?.code === 'THROTTLED');
+      if (throttled && attempt < this.maxRetries) {
+        // With a cost reading, waitForGraphqlBudget paces the retry; without one, back off
+        if (!this.graphqlBudget) await sleep(backoff(attempt));
+        continue;
+      }
+      if (result.errors?.length > 0) {
+        throw new ShopifyError(`Shopify GraphQL error: ${result.errors.map(error => error.message).join('; ')}`, {
+          status: response.status,
+          errors: result.errors,
+        });
+      }
+
+      const userErrors = Object.values(result.data || {})
+        .flatMap(payload => payload?.userErrors || [])
+        .map(({ field, message, code }) => ({
+          field: Array.isArray(field) ? field.join('.') : field || null,
+          message,
+          code: code || null,
+        }));
+      if (userErrors.length > 0) {
+        throw new ShopifyUserError(userErrors);
+      }
+
+      return result.data;
+    }
+  }
+
+  // ---- Transport -----------------------------------------------------------
+
+  // fetch with retries for 429s and, when the request is idempotent, network failures and 5xxs
+  async send(url, init, { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        if (!idempotent || attempt >= this.maxRetries) {
+          throw new ShopifyError(`Shopify request failed: ${error.message}`);
+        }
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      const retryable = response.status === 429 || (idempotent && response.status >= 500);
+      if (!retryable || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      console.warn(`Shopify returned ${response.status}; retry ${attempt + 1} of ${this.maxRetries}`);
+      await sleep(retryAfter > 0 ? retryAfter * 1000 : backoff(attempt));
+    }
+  }
+
+  // X-Shopify-Shop-Api-Call-Limit: "32/40" - calls in the bucket / bucket size
+  recordRestBucket(response) {
+    const header = response.headers.get('X-Shopify-Shop-Api-Call-Limit');
+    const [used, limit] = (header || '').split('/').map(Number);
+    if (limit) {
+      this.restBucket = { used, limit, at: Date.now() };
+    }
+  }
+
+  async waitForRestBucket() {
+    if (!this.restBucket) return;
+
+    const { used, limit, at } = this.restBucket;
+    const drained = ((Date.now() - at) / 1000) * REST_LEAK_PER_SECOND;
+    const excess = used - drained - (limit - REST_BUCKET_HEADROOM);
+    if (excess > 0) {
+      await sleep((excess / REST_LEAK_PER_SECOND) * 1000);
+    }
+  }
+
+  // extensions.cost: { requestedQueryCost, throttleStatus: { maximumAvailable, currentlyAvailable, restoreRate } }
+  recordGraphqlCost(cost) {
+    if (!cost?.throttleStatus) return;
+
+    this.graphqlBudget = {
+      cost: cost.requestedQueryCost,
+      available: cost.throttleStatus.currentlyAvailable,
+      maximum: cost.throttleStatus.maximumAvailable,
+      restoreRate: cost.throttleStatus.restoreRate,
+      at: Date.now(),
+    };
+  }
+
+  // Wait until the budget has restored enough for another query as costly as the last
+  async waitForGraphqlBudget() {
+    if (!this.graphqlBudget) return;
+
+    const { cost, available, maximum, restoreRate, at } = this.graphqlBudget;
+    const restored = Math.min(maximum, available + ((Date.now() - at) / 1000) * restoreRate);
+    if (restored < cost && restoreRate > 0) {
+      await sleep(((cost - restored) / restoreRate) * 1000);
+    }
+  }
+}
+
+// REST 422 bodies: { errors: { title: ["can't be blank"] } } or { errors: "message" }
+function restUserErrors(errors) {
+  if (!errors) {
+    return [{ field: null, message: 'Unprocessable entity', code: null }];
+  }
+  if (typeof errors === 'string' || Array.isArray(errors)) {
+    return [].concat(errors).map(message => ({ field: null, message: String(message), code: null }));
+  }
+  return Object.entries(errors).flatMap(([field, messages]) =>
+    [].concat(messages).map(message => ({ field, message: String(message), code: null }))
+  );
+}
+
+// Whether a GraphQL document's operation is a mutation (comments and whitespace aside)
+function isMutation(query) {
+  return /^mutation\b/.test(query.replace(/#[^\n]*/g, '').trim());
+}
+
+function backoff(attempt) {
+  return BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -24,17 +24,18 @@ echo ""
 
 export SHOPIFY_STORE="$STORE_DOMAIN"
 
-# Create products via API
-echo "🔬 Creating products..."
-node "$SHOPIFY_DIR/create-products.js"
+if [ -z "$NEON_DATABASE_URL" ]; then
+    echo "❌ NEON_DATABASE_URL not set"
+    exit 1
+fi
 
-# Create webhook via API (not CLI)
-echo "📡 Creating webhook..."
-node "$SHOPIFY_DIR/create-webhook.js" "$WORKER_URL"
+# Sync cases and evidence products from the manifest to Shopify and Neon
+echo "🔬 Syncing manifest..."
+SHOPIFY_STORE_DOMAIN="$STORE_DOMAIN" node "$SHOPIFY_DIR/sync.js"
 
-# Generate SQL
-echo "📝 Generating SQL..."
-node "$SHOPIFY_DIR/generate-sql.js"
+# Point the order, refund and product webhooks at the Worker
+echo "📡 Syncing webhooks..."
+(cd "$SHOPIFY_DIR" && SHOPIFY_STORE_DOMAIN="$STORE_DOMAIN" node webhooks.js sync "$WORKER_URL")
 
 echo ""
 echo "✅ Setup complete!"
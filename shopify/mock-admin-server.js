@@ -0,0 +1,154 @@
+// shopify/mock-admin-server.js
+// In-memory stand-in for the Shopify Admin REST products and webhooks APIs, for trying
+// sync.js and webhooks.js locally:
+//
+//   node mock-admin-server.js
+//   SHOPIFY_ADMIN_URL=http://localhost:8082 node sync.js --dry-run
+//   SHOPIFY_ADMIN_URL=http://localhost:8082 node webhooks.js list
+//
+// Serves GET/POST products.json (with Link header pagination), PUT products/:id.json,
+// GET/POST webhooks.json and PUT/DELETE webhooks/:id.json.
+// State lives only as long as the process.
+const http = require('http');
+
+const PORT = process.env.PORT || 8082;
+const PAGE_LIMIT_MAX = 250;
+
+const products = new Map();
+let nextId = 8000000000001;
+
+const webhooks = new Map();
+let nextWebhookId = 1000000001;
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+// Like Shopify: lowercase, anything but letters, digits, _ and - becomes a hyphen
+function toHandle(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function listProducts(req, res, url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, PAGE_LIMIT_MAX);
+    const offset = parseInt(url.searchParams.get('page_info')) || 0;
+    const all = [...products.values()];
+    const page = all.slice(offset, offset + limit);
+
+    const headers = {};
+    if (offset + limit < all.length) {
+        const next = new URL(url);
+        next.searchParams.set('page_info', String(offset + limit));
+        headers.Link = `<${next}>; rel="next"`;
+    }
+    send(res, 200, { products: page }, headers);
+}
+
+function createProduct(product) {
+    const id = nextId++;
+    const created = {
+        id,
+        handle: toHandle(product.handle || product.title),
+        title: product.title,
+        body_html: product.body_html || '',
+        product_type: product.product_type || '',
+        vendor: product.vendor || '',
+        tags: product.tags || '',
+        status: product.status || 'active',
+        variants: (product.variants || [{}]).map((variant, i) => ({
+            id: id * 10 + i,
+            product_id: id,
+            price: Number(variant.price || 0).toFixed(2),
+            inventory_policy: variant.inventory_policy || 'deny',
+            requires_shipping: variant.requires_shipping ?? true,
+        })),
+    };
+    products.set(id, created);
+    return created;
+}
+
+function updateProduct(existing, changes) {
+    const { variants, id: _id, handle: _handle, ...fields } = changes;
+    Object.assign(existing, fields);
+    (variants || []).forEach(variant => {
+        const target = existing.variants.find(v => v.id === variant.id);
+        if (target && variant.price !== undefined) {
+            target.price = Number(variant.price).toFixed(2);
+        }
+    });
+    return existing;
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (!req.headers['x-shopify-access-token']) {
+        return send(res, 401, { errors: '[API] Invalid API key or access token' });
+    }
+
+    try {
+        if (/^\/admin\/api\/[\w-]+\/products\.json$/.test(url.pathname)) {
+            if (req.method === 'GET') return listProducts(req, res, url);
+            if (req.method === 'POST') {
+                const { product } = await readBody(req);
+                return send(res, 201, { product: createProduct(product) });
+            }
+        }
+
+        const match = url.pathname.match(/^\/admin\/api\/[\w-]+\/products\/(\d+)\.json$/);
+        if (match && req.method === 'PUT') {
+            const existing = products.get(Number(match[1]));
+            if (!existing) return send(res, 404, { errors: 'Not Found' });
+            const { product } = await readBody(req);
+            return send(res, 200, { product: updateProduct(existing, product) });
+        }
+
+        if (/^\/admin\/api\/[\w-]+\/webhooks\.json$/.test(url.pathname)) {
+            if (req.method === 'GET') return send(res, 200, { webhooks: [...webhooks.values()] });
+            if (req.method === 'POST') {
+                const { webhook } = await readBody(req);
+                if ([...webhooks.values()].some(w => w.topic === webhook.topic && w.address === webhook.address)) {
+                    return send(res, 422, { errors: { address: ['for this topic has already been taken'] } });
+                }
+                const created = { id: nextWebhookId++, format: 'json', ...webhook };
+                webhooks.set(created.id, created);
+                return send(res, 201, { webhook: created });
+            }
+        }
+
+        const webhookMatch = url.pathname.match(/^\/admin\/api\/[\w-]+\/webhooks\/(\d+)\.json$/);
+        if (webhookMatch) {
+            const existing = webhooks.get(Number(webhookMatch[1]));
+            if (!existing) return send(res, 404, { errors: 'Not Found' });
+            if (req.method === 'PUT') {
+                const { webhook } = await readBody(req);
+                return send(res, 200, { webhook: Object.assign(existing, webhook) });
+            }
+            if (req.method === 'DELETE') {
+                webhooks.delete(existing.id);
+                return send(res, 200, {});
+            }
+        }
+
+        send(res, 404, { errors: 'Not Found' });
+    } catch (error) {
+        send(res, 400, { errors: error.message });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock Shopify Admin API listening on :${PORT}`);
+    });
+}
+
+module.exports = { server };
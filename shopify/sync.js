@@ -0,0 +1,363 @@
+// shopify/sync.js
+// Sync manifest.json - the cases and the evidence products that solve them - to
+// Shopify and Neon in one pass.
+//
+//   node sync.js [--dry-run] [--prune]
+//
+// Shopify: creates missing products, updates changed ones, and archives Evidence
+// products that are no longer in the manifest. Neon: upserts cases by case_number and
+// rewrites each case's case_evidence to the synced Shopify product ids. Rerunning with
+// an unchanged manifest changes nothing. --prune also deletes Neon cases that are not
+// in the manifest (their player progress goes with them, so it is opt-in).
+//
+// Shopify calls go through ../shopify-client.js, which paces itself from Shopify's call
+// limit and retries throttled or failed requests. SHOPIFY_ADMIN_URL points it somewhere
+// else, e.g. mock-admin-server.js.
+//
+// Required as a module it only exports the sync (for ../test/sync.test.js).
+const fs = require('fs');
+const path = require('path');
+
+const MANAGED_PRODUCT_TYPE = 'Evidence';
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CASE_FIELDS = ['title', 'description', 'solution', 'difficulty'];
+
+function loadManifest() {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'manifest.json'), 'utf8'));
+}
+
+// Shopify lowercases handles and may swap underscores for hyphens
+function handleKey(handle) {
+    return String(handle).toLowerCase().replace(/_/g, '-');
+}
+
+function validateManifest({ cases, products }) {
+    const errors = [];
+    const handles = new Set();
+
+    products.forEach(product => {
+        if (!product.handle || !product.title || !product.variants?.[0]?.price) {
+            errors.push(`Product ${product.handle || product.title}: needs handle, title and a variant price`);
+        }
+        if (handles.has(handleKey(product.handle))) {
+            errors.push(`Product ${product.handle}: duplicate handle`);
+        }
+        handles.add(handleKey(product.handle));
+    });
+
+    const caseNumbers = new Set();
+    cases.forEach(c => {
+        if (caseNumbers.has(c.case_number)) {
+            errors.push(`Case ${c.case_number}: duplicate case_number`);
+        }
+        caseNumbers.add(c.case_number);
+
+        if (!DIFFICULTIES.includes(c.difficulty)) {
+            errors.push(`Case ${c.case_number}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+        }
+        (c.evidence || []).forEach(({ handle }) => {
+            if (!handles.has(handleKey(handle))) {
+                errors.push(`Case ${c.case_number}: evidence ${handle} is not a product in the manifest`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// ---- Shopify ---------------------------------------------------------------
+
+// Every product, across all pages
+function listProducts(shopify) {
+    const fields = 'id,handle,title,body_html,product_type,vendor,tags,status,variants';
+    return shopify.getAll(`products.json?limit=250&fields=${fields}`, 'products');
+}
+
+function normalizeTags(tags) {
+    return String(tags || '').split(',').map(tag => tag.trim()).filter(Boolean).sort().join(', ');
+}
+
+// Fields of `existing` that differ from the manifest definition
+function productChanges(definition, existing) {
+    const changes = [];
+    ['title', 'body_html', 'product_type', 'vendor'].forEach(field => {
+        if ((definition[field] || '') !== (existing[field] || '')) changes.push(field);
+    });
+    if (normalizeTags(definition.tags) !== normalizeTags(existing.tags)) changes.push('tags');
+    if (Number(definition.variants[0].price) !== Number(existing.variants?.[0]?.price)) changes.push('price');
+    if (existing.status !== 'active') changes.push('status');
+    return changes;
+}
+
+function planProducts(manifest, existingProducts) {
+    const byHandle = new Map(existingProducts.map(product => [handleKey(product.handle), product]));
+    const wanted = new Set(manifest.products.map(product => handleKey(product.handle)));
+    const plan = { create: [], update: [], archive: [], unchanged: [] };
+
+    manifest.products.forEach(definition => {
+        const existing = byHandle.get(handleKey(definition.handle));
+        if (!existing) {
+            plan.create.push({ definition });
+            return;
+        }
+        const changes = productChanges(definition, existing);
+        if (changes.length > 0) {
+            plan.update.push({ definition, existing, changes });
+        } else {
+            plan.unchanged.push({ definition, existing });
+        }
+    });
+
+    existingProducts
+        .filter(product => product.product_type === MANAGED_PRODUCT_TYPE && product.status !== 'archived')
+        .filter(product => !wanted.has(handleKey(product.handle)))
+        .forEach(product => plan.archive.push({ existing: product }));
+
+    return plan;
+}
+
+// Apply the product plan; returns handle key -> Shopify product id
+async function applyProducts(shopify, plan, { dryRun }) {
+    const ids = new Map();
+    plan.unchanged.forEach(({ definition, existing }) => ids.set(handleKey(definition.handle), String(existing.id)));
+
+    for (const { definition } of plan.create) {
+        if (dryRun) {
+            ids.set(handleKey(definition.handle), `<new ${definition.handle}>`);
+            continue;
+        }
+        const data = await shopify.post('products.json', { product: definition });
+        ids.set(handleKey(definition.handle), String(data.product.id));
+    }
+
+    for (const { definition, existing } of plan.update) {
+        ids.set(handleKey(definition.handle), String(existing.id));
+        if (dryRun) continue;
+
+        const { variants, handle: _handle, ...fields } = definition;
+        await shopify.put(`products/${existing.id}.json`, {
+            product: {
+                id: existing.id,
+                ...fields,
+                status: 'active',
+                variants: [{ id: existing.variants[0].id, price: variants[0].price }],
+            },
+        });
+    }
+
+    for (const { existing } of plan.archive) {
+        if (dryRun) continue;
+        await shopify.put(`products/${existing.id}.json`, {
+            product: { id: existing.id, status: 'archived' },
+        });
+    }
+
+    return ids;
+}
+
+// ---- Neon ------------------------------------------------------------------
+
+async function planCases(db, manifest, productIds) {
+    const { rows: existingCases } = await db.query(
+        'SELECT id, case_number, title, description, solution, difficulty FROM cases'
+    );
+    const { rows: mappings } = await db.query('SELECT case_id, evidence_id, is_critical FROM case_evidence');
+
+    const byNumber = new Map(existingCases.map(c => [c.case_number, c]));
+    const plan = { create: [], update: [], prune: [], mappings: [] };
+
+    manifest.cases.forEach(definition => {
+        const existing = byNumber.get(definition.case_number);
+        if (!existing) {
+            plan.create.push({ definition });
+        } else {
+            const changes = CASE_FIELDS.filter(field => definition[field] !== existing[field]);
+            if (changes.length > 0) plan.update.push({ definition, existing, changes });
+        }
+
+        const current = existing ? mappings.filter(m => m.case_id === existing.id) : [];
+        const wanted = (definition.evidence || []).map(({ handle, is_critical = true }) => ({
+            handle,
+            evidence_id: productIds.get(handleKey(handle)),
+            is_critical,
+        }));
+
+        wanted.forEach(mapping => {
+            const row = current.find(m => m.evidence_id === mapping.evidence_id);
+            if (!row) {
+                plan.mappings.push({ action: 'attach', caseNumber: definition.case_number, ...mapping });
+            } else if (row.is_critical !== mapping.is_critical) {
+                plan.mappings.push({ action: 'flag', caseNumber: definition.case_number, ...mapping });
+            }
+        });
+        current
+            .filter(row => !wanted.some(mapping => mapping.evidence_id === row.evidence_id))
+            .forEach(row => plan.mappings.push({ action: 'detach', caseNumber: definition.case_number, evidence_id: row.evidence_id }));
+    });
+
+    const wantedNumbers = new Set(manifest.cases.map(c => c.case_number));
+    existingCases
+        .filter(c => !wantedNumbers.has(c.case_number))
+        .forEach(existing => plan.prune.push({ existing }));
+
+    return plan;
+}
+
+// Apply the case plan in one transaction
+async function applyCases(db, plan, { dryRun, prune }) {
+    if (dryRun) return;
+
+    await db.query('BEGIN');
+    try {
+        for (const { definition } of plan.create) {
+            const { rows } = await db.query(`
+                INSERT INTO cases (case_number, title, description, solution, difficulty)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id
+            `, [definition.case_number, ...CASE_FIELDS.map(field => definition[field])]);
+            await db.query(
+                'INSERT INTO case_analytics (case_id, views, cart_adds, completions) VALUES ($1, 0, 0, 0)',
+                [rows[0].id]
+            );
+        }
+
+        for (const { definition } of plan.update) {
+            await db.query(`
+                UPDATE cases SET title = $2, description = $3, solution = $4, difficulty = $5
+                WHERE case_number = $1
+            `, [definition.case_number, ...CASE_FIELDS.map(field => definition[field])]);
+        }
+
+        for (const mapping of plan.mappings) {
+            const caseId = `(SELECT id FROM cases WHERE case_number = $1)`;
+            if (mapping.action === 'attach') {
+                await db.query(`
+                    INSERT INTO case_evidence (case_id, evidence_id, is_critical)
+                    VALUES (${caseId}, $2, $3)
+                `, [mapping.caseNumber, mapping.evidence_id, mapping.is_critical]);
+            } else if (mapping.action === 'flag') {
+                await db.query(`
+                    UPDATE case_evidence SET is_critical = $3
+                    WHERE case_id = ${caseId} AND evidence_id = $2
+                `, [mapping.caseNumber, mapping.evidence_id, mapping.is_critical]);
+            } else {
+                await db.query(
+                    `DELETE FROM case_evidence WHERE case_id = ${caseId} AND evidence_id = $2`,
+                    [mapping.caseNumber, mapping.evidence_id]
+                );
+            }
+        }
+
+        if (prune) {
+            for (const { existing } of plan.prune) {
+                await db.query('DELETE FROM cases WHERE id = $1', [existing.id]);
+            }
+        }
+
+        await db.query('COMMIT');
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// ---- Report ----------------------------------------------------------------
+
+function report(productPlan, casePlan, { prune }) {
+    console.log('\n🛍️  Shopify products');
+    productPlan.create.forEach(({ definition }) => console.log(`   + create ${definition.handle}`));
+    productPlan.update.forEach(({ definition, changes }) => console.log(`   ~ update ${definition.handle} (${changes.join(', ')})`));
+    productPlan.archive.forEach(({ existing }) => console.log(`   - archive ${existing.handle} (${existing.id})`));
+    console.log(`   ${productPlan.unchanged.length} unchanged`);
+
+    console.log('\n🗄️  Neon cases');
+    casePlan.create.forEach(({ definition }) => console.log(`   + create ${definition.case_number} ${definition.title}`));
+    casePlan.update.forEach(({ definition, changes }) => console.log(`   ~ update ${definition.case_number} (${changes.join(', ')})`));
+    casePlan.mappings.forEach(mapping => {
+        const symbol = { attach: '+', flag: '~', detach: '-' }[mapping.action];
+        const label = mapping.handle ? `${mapping.handle} (${mapping.evidence_id})` : mapping.evidence_id;
+        const critical = mapping.action === 'detach' ? '' : mapping.is_critical ? ' critical' : ' optional';
+        console.log(`   ${symbol} ${mapping.action} ${mapping.caseNumber} ← ${label}${critical}`);
+    });
+    casePlan.prune.forEach(({ existing }) => {
+        console.log(prune
+            ? `   - delete ${existing.case_number} ${existing.title}`
+            : `   ! ${existing.case_number} is not in the manifest (rerun with --prune to delete it)`);
+    });
+
+    const changes = productPlan.create.length + productPlan.update.length + productPlan.archive.length
+        + casePlan.create.length + casePlan.update.length + casePlan.mappings.length
+        + (prune ? casePlan.prune.length : 0);
+    return changes;
+}
+
+// Plan and apply the whole sync: `shopify` is a ShopifyClient, `db` anything with pg's
+// query(). Returns both plans and the number of changes.
+async function syncManifest({ manifest, shopify, db, dryRun = false, prune = false }) {
+    const productPlan = planProducts(manifest, await listProducts(shopify));
+    const productIds = await applyProducts(shopify, productPlan, { dryRun });
+    const casePlan = await planCases(db, manifest, productIds);
+    const changes = report(productPlan, casePlan, { prune });
+
+    await applyCases(db, casePlan, { dryRun, prune });
+    return { productPlan, casePlan, changes };
+}
+
+async function main() {
+    require('dotenv').config({ path: path.join(__dirname, '../.env') });
+    const { Client } = require('pg');
+
+    const dryRun = process.argv.includes('--dry-run');
+    const prune = process.argv.includes('--prune');
+
+    const missing = ['SHOPIFY_ADMIN_TOKEN', 'NEON_DATABASE_URL']
+        .concat(process.env.SHOPIFY_ADMIN_URL ? [] : ['SHOPIFY_STORE_DOMAIN'])
+        .filter(name => !process.env[name]);
+    if (missing.length > 0) {
+        console.error(`❌ Missing environment variables: ${missing.join(', ')}`);
+        process.exit(1);
+    }
+
+    const manifest = loadManifest();
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) {
+        console.error('❌ manifest.json is invalid:');
+        errors.forEach(error => console.error(`   ${error}`));
+        process.exit(1);
+    }
+
+    // The client module is ESM, so it's loaded with import()
+    const { ShopifyClient } = await import('../shopify-client.js');
+    const shopify = new ShopifyClient({
+        storeDomain: process.env.SHOPIFY_STORE_DOMAIN,
+        adminToken: process.env.SHOPIFY_ADMIN_TOKEN,
+        apiVersion: process.env.SHOPIFY_API_VERSION,
+        baseUrl: process.env.SHOPIFY_ADMIN_URL,
+    });
+
+    console.log(`🔬 Syncing ${manifest.cases.length} cases and ${manifest.products.length} products${dryRun ? ' (dry run)' : ''}`);
+
+    const db = new Client({ connectionString: process.env.NEON_DATABASE_URL });
+    await db.connect();
+
+    try {
+        const { changes } = await syncManifest({ manifest, shopify, db, dryRun, prune });
+
+        if (changes === 0) {
+            console.log('\n✅ Already in sync');
+        } else {
+            console.log(dryRun ? `\n📝 Dry run: ${changes} changes not applied` : `\n✅ Applied ${changes} changes`);
+        }
+    } finally {
+        await db.end();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Sync failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { loadManifest, validateManifest, syncManifest };
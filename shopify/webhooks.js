@@ -0,0 +1,153 @@
+// shopify/webhooks.js
+// Keeps the store's webhook subscriptions pointed at the Worker:
+//
+//   node webhooks.js list               # every subscription this app has
+//   node webhooks.js sync [--dry-run]   # create/update/delete until they match TOPICS
+//   node webhooks.js delete <topic>     # drop the subscriptions for one topic
+//
+// Sync is idempotent. Each topic in TOPICS gets exactly one JSON subscription at
+// <worker>/webhook/<topic with - for /> (the path worker.js dispatches on); one with a
+// stale address is updated in place, duplicates are removed, and subscriptions for
+// topics the Worker no longer handles (e.g. the old orders/create) are deleted.
+// Before changing anything the Worker URL must be HTTPS and answer an unsigned delivery
+// with 401, which shows the route exists and is verifying signatures.
+//
+// The Worker URL comes from the first non-flag argument or VITE_API_BASE.
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const TOPICS = ['orders/paid', 'refunds/create', 'orders/cancelled', 'products/update'];
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [command = 'sync', ...rest] = args.filter(arg => !arg.startsWith('--'));
+
+function webhookAddress(workerUrl, topic) {
+    return `${workerUrl.replace(/\/+$/, '')}/webhook/${topic.replace('/', '-')}`;
+}
+
+// Shopify only delivers to HTTPS; an unsigned POST should be refused by the HMAC check
+async function verifyCallback(workerUrl) {
+    const url = new URL(workerUrl);
+    if (url.protocol !== 'https:') {
+        throw new Error(`Shopify only delivers webhooks over HTTPS: ${workerUrl}`);
+    }
+
+    for (const topic of TOPICS) {
+        const address = webhookAddress(workerUrl, topic);
+        let response;
+        try {
+            response = await fetch(address, { method: 'POST', body: '{}' });
+        } catch (error) {
+            throw new Error(`${address} is unreachable: ${error.message}`);
+        }
+        if (response.status !== 401) {
+            throw new Error(`${address} answered an unsigned webhook with HTTP ${response.status} (expected 401)`);
+        }
+    }
+    console.log(`✅ ${workerUrl} accepts webhook deliveries for ${TOPICS.length} topics`);
+}
+
+async function listWebhooks(shopify) {
+    return shopify.getAll('webhooks.json?limit=250', 'webhooks');
+}
+
+// Changes needed to go from `existing` subscriptions to one per topic at the Worker
+function planWebhooks(existing, workerUrl) {
+    const workerBase = `${workerUrl.replace(/\/+$/, '')}/webhook/`;
+    const changes = [];
+
+    for (const topic of TOPICS) {
+        const address = webhookAddress(workerUrl, topic);
+        const subscriptions = existing.filter(webhook => webhook.topic === topic);
+        const keep = subscriptions.find(webhook => webhook.address === address) || subscriptions[0];
+
+        if (!keep) {
+            changes.push({ action: 'create', topic, address });
+        } else if (keep.address !== address || keep.format !== 'json') {
+            changes.push({ action: 'update', topic, address, id: keep.id, from: keep.address });
+        }
+        subscriptions
+            .filter(webhook => webhook !== keep)
+            .forEach(webhook => changes.push({ action: 'delete', topic, address: webhook.address, id: webhook.id }));
+    }
+
+    // Subscriptions into the Worker for topics it no longer handles
+    existing
+        .filter(webhook => !TOPICS.includes(webhook.topic) && webhook.address.startsWith(workerBase))
+        .forEach(webhook => changes.push({ action: 'delete', topic: webhook.topic, address: webhook.address, id: webhook.id }));
+
+    return changes;
+}
+
+async function applyWebhookChange(shopify, change) {
+    if (change.action === 'create') {
+        const { webhook } = await shopify.post('webhooks.json', {
+            webhook: { topic: change.topic, address: change.address, format: 'json' },
+        });
+        console.log(`✅ Created ${change.topic} → ${change.address} (${webhook.id})`);
+    } else if (change.action === 'update') {
+        await shopify.put(`webhooks/${change.id}.json`, {
+            webhook: { id: change.id, address: change.address, format: 'json' },
+        });
+        console.log(`🔄 Updated ${change.topic}: ${change.from} → ${change.address}`);
+    } else {
+        await shopify.delete(`webhooks/${change.id}.json`);
+        console.log(`🗑️  Deleted ${change.topic} → ${change.address} (${change.id})`);
+    }
+}
+
+async function sync(shopify, workerUrl) {
+    const changes = planWebhooks(await listWebhooks(shopify), workerUrl);
+
+    if (changes.length === 0) {
+        console.log('✨ Webhooks already in sync');
+        return;
+    }
+    if (dryRun) {
+        changes.forEach(change => console.log(`  ${change.action.padEnd(6)} ${change.topic} → ${change.address}`));
+        console.log(`\n📝 Dry run: ${changes.length} change(s) not applied`);
+        return;
+    }
+
+    await verifyCallback(workerUrl);
+    for (const change of changes) {
+        await applyWebhookChange(shopify, change);
+    }
+}
+
+async function main() {
+    const { ShopifyClient } = await import('../shopify-client.js');
+    const shopify = new ShopifyClient({
+        storeDomain: process.env.SHOPIFY_STORE_DOMAIN,
+        adminToken: process.env.SHOPIFY_ADMIN_TOKEN,
+        apiVersion: process.env.SHOPIFY_API_VERSION,
+        baseUrl: process.env.SHOPIFY_ADMIN_URL,
+    });
+
+    if (command === 'list') {
+        const webhooks = await listWebhooks(shopify);
+        webhooks.forEach(webhook => console.log(`${webhook.id}  ${webhook.topic.padEnd(18)} ${webhook.address}`));
+        console.log(`\n📡 ${webhooks.length} subscription(s)`);
+    } else if (command === 'delete') {
+        const topic = rest[0];
+        if (!topic) throw new Error('Usage: node webhooks.js delete <topic>');
+        const webhooks = (await listWebhooks(shopify)).filter(webhook => webhook.topic === topic);
+        for (const webhook of webhooks) {
+            await applyWebhookChange(shopify, { action: 'delete', topic, address: webhook.address, id: webhook.id });
+        }
+        if (webhooks.length === 0) console.log(`✨ No ${topic} subscriptions`);
+    } else if (command === 'sync') {
+        const workerUrl = rest[0] || process.env.VITE_API_BASE;
+        if (!workerUrl) throw new Error('Pass the Worker URL or set VITE_API_BASE');
+        await sync(shopify, workerUrl);
+    } else {
+        throw new Error(`Unknown command: ${command} (expected list, sync or delete)`);
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,155 @@
+// /activity/stream and the ActivityHub Durable Object, with MongoDB behind a fake fetch
+import assert from 'node:assert/strict';
+import { afterEach, describe, mock, test } from 'node:test';
+
+import { ActivityHub } from '../activity-hub.js';
+import worker from '../worker.js';
+
+const mongoEnv = {
+  MONGODB_API_KEY: 'test_key',
+  MONGODB_DATA_API: 'https://data.test',
+  MONGODB_URI: 'mongodb://localhost/crimelab',
+};
+
+// Record Data API calls as [action, body] and answer each with `reply(action, body)`
+function fakeMongo(reply = () => ({})) {
+  const calls = [];
+  mock.method(globalThis, 'fetch', async (url, init) => {
+    const action = url.split('/').pop();
+    const body = JSON.parse(init.body);
+    calls.push([action, body]);
+    return Response.json(reply(action, body));
+  });
+  return calls;
+}
+
+function newHub(env = mongoEnv) {
+  return new ActivityHub({ id: { toString: () => 'hub-test' }, waitUntil() {} }, env);
+}
+
+// An ACTIVITY_HUB binding whose stub, like a real one, takes fetch(url, init)
+function hubBinding(hub) {
+  return { idFromName: () => 'global', get: () => ({ fetch: (input, init) => hub.fetch(new Request(input, init)) }) };
+}
+
+// Let the hub's fire-and-forget connection writes land
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// The first `count` SSE frames of a stream, as text
+async function readFrames(response, count) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  while (text.split('\n\n').length <= count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value);
+  }
+  return text.split('\n\n').slice(0, count);
+}
+
+const stored = (oid, timestamp, type = 'cart_add') => ({
+  _id: { $oid: oid },
+  type,
+  timestamp: { $date: timestamp },
+  data: {},
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /activity/stream', () => {
+  test('answers 503 without the ACTIVITY_HUB binding', async () => {
+    const response = await worker.fetch(new Request('https://worker.test/activity/stream'), {}, { waitUntil() {} });
+
+    assert.equal(response.status, 503);
+  });
+
+  test('resumes strictly after the Last-Event-ID activity and ids what it sends', async () => {
+    const missed = [
+      stored('650000000000000000000002', '2026-10-19T12:00:00.000Z'),
+      stored('650000000000000000000003', '2026-10-19T12:00:01.000Z', 'case_solved'),
+    ];
+    const calls = fakeMongo(action => (action === 'find' ? { documents: missed } : {}));
+    const hub = newHub();
+    const env = { ...mongoEnv, ACTIVITY_HUB: hubBinding(hub) };
+
+    const lastEventId = `${Date.parse('2026-10-19T12:00:00.000Z')}-650000000000000000000001`;
+    const response = await worker.fetch(new Request('https://worker.test/activity/stream', {
+      headers: { 'Last-Event-ID': lastEventId },
+    }), env, { waitUntil() {} });
+    const frames = await readFrames(response, 5);
+    hub.removeSession([...hub.sessions.keys()][0]);
+
+    const [, find] = calls.find(([action, body]) => action === 'find' && body.collection === 'activities');
+    assert.deepEqual(find.filter, {
+      $or: [
+        { timestamp: { $gt: { $date: '2026-10-19T12:00:00.000Z' } } },
+        { timestamp: { $date: '2026-10-19T12:00:00.000Z' }, _id: { $gt: { $oid: '650000000000000000000001' } } },
+      ],
+    });
+    assert.deepEqual(find.sort, { timestamp: 1, _id: 1 });
+
+    const ids = frames.map(frame => frame.match(/^id: (.+)$/m)?.[1] || null);
+    assert.deepEqual(ids.slice(2, 4), [
+      `${Date.parse('2026-10-19T12:00:00.000Z')}-650000000000000000000002`,
+      `${Date.parse('2026-10-19T12:00:01.000Z')}-650000000000000000000003`,
+    ]);
+    assert.equal(JSON.parse(frames[2].split('data: ')[1]).id, '650000000000000000000002');
+  });
+});
+
+describe('ActivityHub events', () => {
+  test('only activities with a stored id get an SSE id', async () => {
+    const hub = newHub({});
+    const response = await hub.fetch(new Request('https://activity-hub/connect', { method: 'POST', body: '{}' }));
+
+    hub.broadcast({ type: 'cart_add', timestamp: '2026-10-19T12:00:00.000Z', data: {} });
+    hub.broadcast({ id: '650000000000000000000009', type: 'cart_add', timestamp: '2026-10-19T12:00:00.000Z', data: {} });
+    const frames = await readFrames(response, 5);
+    hub.removeSession([...hub.sessions.keys()][0]);
+
+    assert.equal(frames[0], 'retry: 3000');
+    assert.doesNotMatch(frames[1], /^id:/m);
+    assert.doesNotMatch(frames[3], /^id:/m);
+    assert.match(frames[4], new RegExp(`^id: ${Date.parse('2026-10-19T12:00:00.000Z')}-650000000000000000000009$`, 'm'));
+  });
+});
+
+describe('ActivityHub connections', () => {
+  test('registers, heartbeats and removes each client in MongoDB connections', async () => {
+    const calls = fakeMongo();
+    const hub = newHub();
+
+    await hub.fetch(new Request('https://activity-hub/connect', {
+      method: 'POST',
+      body: JSON.stringify({ session_id: 'anon_1' }),
+    }));
+    await settle();
+
+    const [id] = hub.sessions.keys();
+    const [action, body] = calls.find(([, b]) => b.collection === 'connections');
+    assert.equal(action, 'insertOne');
+    assert.equal(body.document.connection_id, id);
+    assert.equal(body.document.session_id, 'anon_1');
+    assert.equal(body.document.worker_id, 'hub-test');
+
+    hub.heartbeatConnection(id);
+    hub.removeSession(id);
+    await settle();
+
+    const actions = calls.filter(([, b]) => b.collection === 'connections').map(([a, b]) => [a, (b.filter || b.document).connection_id]);
+    assert.deepEqual(actions, [['insertOne', id], ['updateOne', id], ['deleteOne', id]]);
+    assert.equal(hub.sessions.size, 0);
+  });
+
+  test('skips MongoDB when it is not configured', async () => {
+    const calls = fakeMongo();
+    const hub = newHub({});
+
+    await hub.fetch(new Request('https://activity-hub/connect', { method: 'POST', body: '{}' }));
+    hub.removeSession([...hub.sessions.keys()][0]);
+    await settle();
+
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,93 @@
+// Cart discount codes, with the Storefront API behind a fake fetch
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+
+import worker from '../worker.js';
+
+const CART_ID = 'gid://shopify/Cart/c1-test';
+const env = { SHOPIFY_STORE_DOMAIN: 'crimelab-test.myshopify.com', SHOPIFY_STOREFRONT_TOKEN: 'storefront' };
+
+const cart = (discountCodes) => ({
+  id: CART_ID,
+  checkoutUrl: 'https://crimelab-test.myshopify.com/cart/c/c1-test',
+  totalQuantity: 0,
+  cost: { subtotalAmount: { amount: '0.0', currencyCode: 'USD' }, totalAmount: { amount: '0.0' } },
+  discountCodes,
+  discountAllocations: [],
+  lines: { nodes: [] },
+});
+
+// Answer the cartDiscountCodesUpdate mutation with `payload`
+function fakeStorefront(payload) {
+  mock.method(globalThis, 'fetch', async () => Response.json({ data: { cartDiscountCodesUpdate: payload } }));
+}
+
+function putCodes(codes, requestEnv = env) {
+  return worker.fetch(new Request('https://worker.test/cart/discount-codes', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-Cart-Id': CART_ID },
+    body: JSON.stringify({ discount_codes: codes }),
+  }), requestEnv, { waitUntil() {} });
+}
+
+beforeEach(() => mock.method(console, 'error', () => {}));
+afterEach(() => mock.restoreAll());
+
+describe('PUT /cart/discount-codes', () => {
+  test('gives each rejected code only the warning that names it', async () => {
+    fakeStorefront({
+      cart: cart([{ code: 'SLEUTH10', applicable: false }, { code: 'NOIR', applicable: false }]),
+      userErrors: [],
+      warnings: [{ code: 'DISCOUNT_CODE_NOT_HONOURED', message: 'The discount code SLEUTH10 is not valid for this cart.' }],
+    });
+
+    const response = await putCodes(['SLEUTH10', 'NOIR']);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).rejected, [
+      { code: 'SLEUTH10', reason: 'DISCOUNT_CODE_NOT_HONOURED', message: 'The discount code SLEUTH10 is not valid for this cart.' },
+      { code: 'NOIR', reason: 'NOT_APPLICABLE', message: 'NOIR does not apply to this cart' },
+    ]);
+  });
+
+  test('answers 404 when Shopify has no such cart', async () => {
+    fakeStorefront({
+      cart: null,
+      userErrors: [{ field: ['cartId'], message: 'The specified cart does not exist.', code: 'INVALID' }],
+      warnings: [],
+    });
+
+    const response = await putCodes(['SLEUTH10']);
+
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'Cart not found');
+  });
+
+  test('answers 422 for other userErrors', async () => {
+    fakeStorefront({
+      cart: null,
+      userErrors: [{ field: ['discountCodes', '0'], message: 'Discount code is too long', code: 'INVALID' }],
+      warnings: [],
+    });
+
+    const response = await putCodes(['SLEUTH10']);
+
+    assert.equal(response.status, 422);
+  });
+});
+
+describe('Shopify client per env', () => {
+  test('calls the store of the env serving the request', async () => {
+    const fetch = mock.method(globalThis, 'fetch', async () => Response.json({
+      data: { cartDiscountCodesUpdate: { cart: cart([]), userErrors: [], warnings: [] } },
+    }));
+
+    await putCodes([]);
+    await putCodes([], { ...env, SHOPIFY_STORE_DOMAIN: 'crimelab-staging.myshopify.com' });
+
+    assert.deepEqual(fetch.mock.calls.map(call => new URL(call.arguments[0]).host), [
+      'crimelab-test.myshopify.com',
+      'crimelab-staging.myshopify.com',
+    ]);
+  });
+});
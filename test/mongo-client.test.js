@@ -0,0 +1,104 @@
+// MongoDataClient against an in-process transport standing in for the Data API
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+
+import { MongoDataClient } from '../mongo-client.js';
+
+// A transport answering each action from `replies` ({ action: body | [status, body] })
+function transport(replies) {
+  const calls = [];
+  const send = async (url, init) => {
+    const action = url.split('/').pop();
+    calls.push([action, JSON.parse(init.body)]);
+    const reply = replies[action];
+    const [status, body] = Array.isArray(reply) ? reply : [200, reply];
+    return Response.json(body, { status });
+  };
+  return { calls, send };
+}
+
+// A transport that fails with each of `failures` (a status, or 'network') in turn and
+// then answers `body`
+function flakyTransport(failures, body) {
+  const calls = [];
+  const send = async (url) => {
+    calls.push(url.split('/').pop());
+    const failure = failures[calls.length - 1];
+    if (failure === 'network') throw new TypeError('fetch failed');
+    return Response.json(failure ? { error: 'unavailable' } : body, { status: failure || 200 });
+  };
+  return { calls, send };
+}
+
+function client(send, options = {}) {
+  return new MongoDataClient({
+    endpoint: 'https://data.test/',
+    apiKey: 'test_key',
+    database: 'crimelab',
+    transport: send,
+    ...options,
+  });
+}
+
+describe('MongoDataClient ids', () => {
+  test('returns inserted ids as strings whether the Data API sends EJSON or JSON', async () => {
+    const { send } = transport({
+      insertOne: { insertedId: { $oid: '650000000000000000000001' } },
+      insertMany: { insertedIds: [{ $oid: '650000000000000000000002' }, '650000000000000000000003'] },
+    });
+    const mongo = client(send);
+
+    assert.equal(await mongo.insertOne('activities', { type: 'cart_add' }), '650000000000000000000001');
+    assert.deepEqual(await mongo.insertMany('activities', [{}, {}]), [
+      '650000000000000000000002',
+      '650000000000000000000003',
+    ]);
+  });
+});
+
+describe('MongoDataClient retries', () => {
+  beforeEach(() => {
+    mock.method(globalThis, 'setTimeout', (resolve) => resolve());
+    mock.method(console, 'warn', () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  test('retries reads and updates after 5xxs and network failures', async () => {
+    const reads = flakyTransport([503, 'network'], { documents: [{ type: 'cart_add' }] });
+    assert.deepEqual(await client(reads.send).find('activities'), [{ type: 'cart_add' }]);
+    assert.deepEqual(reads.calls, ['find', 'find', 'find']);
+
+    const updates = flakyTransport([502], { matchedCount: 1, modifiedCount: 1 });
+    assert.deepEqual(await client(updates.send).updateOne('case_progress', {}, { $set: {} }), {
+      matchedCount: 1,
+      modifiedCount: 1,
+    });
+    assert.deepEqual(updates.calls, ['updateOne', 'updateOne']);
+  });
+
+  test('does not repeat an insert the server assigns ids to after a 5xx or network failure', async () => {
+    const unavailable = flakyTransport([503], { insertedId: '650000000000000000000001' });
+    await assert.rejects(client(unavailable.send).insertOne('activities', { type: 'cart_add' }), {
+      name: 'MongoDataApiError',
+      status: 503,
+    });
+    assert.deepEqual(unavailable.calls, ['insertOne']);
+
+    const dropped = flakyTransport(['network'], { insertedIds: ['650000000000000000000001'] });
+    await assert.rejects(client(dropped.send).insertMany('activities', [{ _id: 'a' }, { type: 'cart_add' }]), {
+      name: 'MongoDataApiError',
+      status: null,
+    });
+    assert.deepEqual(dropped.calls, ['insertMany']);
+  });
+
+  test('retries inserts whose documents all carry an _id, and any insert after a 429', async () => {
+    const keyed = flakyTransport([503, 'network'], { insertedIds: ['a', 'b'] });
+    assert.deepEqual(await client(keyed.send).insertMany('activities', [{ _id: 'a' }, { _id: 'b' }]), ['a', 'b']);
+    assert.deepEqual(keyed.calls, ['insertMany', 'insertMany', 'insertMany']);
+
+    const throttled = flakyTransport([429], { insertedId: '650000000000000000000001' });
+    assert.equal(await client(throttled.send).insertOne('activities', {}), '650000000000000000000001');
+    assert.deepEqual(throttled.calls, ['insertOne', 'insertOne']);
+  });
+});
@@ -0,0 +1,94 @@
+// ShopifyClient retries, with Shopify behind a fake fetch and backoff sleeps skipped
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+
+import { ShopifyClient, ShopifyError } from '../shopify-client.js';
+
+const client = () => new ShopifyClient({ storeDomain: 'crimelab-test.myshopify.com', adminToken: 'admin', storefrontToken: 'storefront' });
+
+// Answer fetches in turn with `replies`: a status, or an Error to throw as a network failure
+function fakeShopify(replies, body = { data: {} }) {
+  const calls = [];
+  mock.method(globalThis, 'fetch', async (url, init) => {
+    calls.push(JSON.parse(init.body || 'null'));
+    const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+    if (reply instanceof Error) throw reply;
+    return Response.json(reply < 300 ? body : {}, { status: reply });
+  });
+  return calls;
+}
+
+const CART_CREATE = 'mutation cartCreate($input: CartInput!) { cartCreate(input: $input) { cart { id } } }';
+const CART_QUERY = 'query cart($id: ID!) { cart(id: $id) { id } }';
+
+beforeEach(() => {
+  mock.method(globalThis, 'setTimeout', (resolve) => resolve());
+  mock.method(console, 'warn', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+describe('GraphQL retries', () => {
+  test('a query is retried after a 5xx', async () => {
+    const calls = fakeShopify([503, 200]);
+
+    await client().storefront(CART_QUERY, { id: 'gid://shopify/Cart/1' });
+
+    assert.equal(calls.length, 2);
+  });
+
+  test('a mutation is not retried after a 5xx', async () => {
+    const calls = fakeShopify([503, 200]);
+
+    await assert.rejects(client().storefront(CART_CREATE, { input: {} }), { status: 503 });
+    assert.equal(calls.length, 1);
+  });
+
+  test('a mutation is not retried after a network failure', async () => {
+    const calls = fakeShopify([new TypeError('fetch failed'), 200]);
+
+    await assert.rejects(client().storefront(`
+      # create the cart
+      ${CART_CREATE}
+    `, { input: {} }), ShopifyError);
+    assert.equal(calls.length, 1);
+  });
+
+  test('a mutation is retried after a 429', async () => {
+    const calls = fakeShopify([429, 200]);
+
+    await client().storefront(CART_CREATE, { input: {} });
+
+    assert.equal(calls.length, 2);
+  });
+
+  test('a mutation is retried when THROTTLED', async () => {
+    const throttled = { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] };
+    const fetch = mock.method(globalThis, 'fetch', async () => Response.json(fetch.mock.callCount() === 0 ? throttled : { data: {} }));
+
+    assert.deepEqual(await client().storefront(CART_CREATE, { input: {} }), {});
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+});
+
+describe('REST retries', () => {
+  test('GET is retried after a 5xx or network failure', async () => {
+    const calls = fakeShopify([new TypeError('fetch failed'), 502, 200], { products: [] });
+
+    await client().get('products.json');
+    assert.equal(calls.length, 3);
+  });
+
+  test('POST is not retried after a 5xx', async () => {
+    const calls = fakeShopify([500, 201], { product: { id: 1 } });
+
+    await assert.rejects(client().post('products.json', { product: { title: 'Fingerprint Card' } }), { status: 500 });
+    assert.equal(calls.length, 1);
+  });
+
+  test('POST is retried after a 429', async () => {
+    const calls = fakeShopify([429, 201], { product: { id: 1 } });
+
+    await client().post('products.json', { product: { title: 'Fingerprint Card' } });
+    assert.equal(calls.length, 2);
+  });
+});
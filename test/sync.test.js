@@ -0,0 +1,97 @@
+// shopify/sync.js against shopify/mock-admin-server.js on an ephemeral port, with Neon
+// as a fake pg client, plus a check that the neon-schema.sql seed matches the manifest
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+
+import { server } from '../shopify/mock-admin-server.js';
+import { loadManifest, syncManifest, validateManifest } from '../shopify/sync.js';
+import { ShopifyClient } from '../shopify-client.js';
+
+const manifest = loadManifest();
+
+// The seeded cases (ids 1..n in manifest order) with their evidence still as handles
+const seededCases = manifest.cases.map((c, i) => ({ id: i + 1, ...c }));
+const seededMappings = seededCases.flatMap(c => c.evidence.map(({ handle, is_critical = true }) => ({
+  case_id: c.id, evidence_id: handle, is_critical,
+})));
+
+// Answers sync's two SELECTs with `cases` and `mappings`; records every other statement
+function fakeDb(cases, mappings) {
+  const writes = [];
+  return {
+    writes,
+    async query(sql, params) {
+      if (/FROM cases$/.test(sql.trim())) return { rows: cases };
+      if (/FROM case_evidence$/.test(sql.trim())) return { rows: mappings };
+      writes.push([sql.trim().split(/\s+/)[0], params]);
+      return { rows: [] };
+    },
+  };
+}
+
+let shopify;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  shopify = new ShopifyClient({ adminToken: 'local', baseUrl: `http://127.0.0.1:${server.address().port}` });
+});
+after(() => server.close());
+beforeEach(() => mock.method(console, 'log', () => {}));
+
+describe('manifest', () => {
+  test('is valid', () => {
+    assert.deepEqual(validateManifest(manifest), []);
+  });
+
+  test('matches the cases and evidence seeded by neon-schema.sql', () => {
+    const schema = readFileSync(new URL('../neon-schema.sql', import.meta.url), 'utf8');
+    const seeded = [...schema.matchAll(/^\((\d+), '(\w+)', (true|false)\)/gm)]
+      .map(([, caseId, handle, critical]) => ({ case_id: Number(caseId), evidence_id: handle, is_critical: critical === 'true' }));
+
+    assert.deepEqual(seeded, seededMappings);
+    manifest.cases.forEach(c => assert.ok(schema.includes(`'${c.case_number}', '${c.title}'`), c.case_number));
+  });
+});
+
+describe('sync against the mock Admin API', () => {
+  test('a dry run changes neither the store nor the database', async () => {
+    const db = fakeDb(seededCases, seededMappings);
+    const { productPlan } = await syncManifest({ manifest, shopify, db, dryRun: true });
+
+    assert.equal(productPlan.create.length, manifest.products.length);
+    assert.deepEqual(await shopify.getAll('products.json?limit=250', 'products'), []);
+    assert.deepEqual(db.writes, []);
+  });
+
+  test('creates every product and rewrites seeded handles to their product ids', async () => {
+    const db = fakeDb(seededCases, seededMappings);
+    const { productPlan, casePlan } = await syncManifest({ manifest, shopify, db });
+
+    const products = await shopify.getAll('products.json?limit=250', 'products');
+    assert.equal(products.length, manifest.products.length);
+    assert.equal(productPlan.create.length, manifest.products.length);
+    assert.deepEqual([casePlan.create, casePlan.update], [[], []]);
+
+    const attached = casePlan.mappings.filter(m => m.action === 'attach');
+    const detached = casePlan.mappings.filter(m => m.action === 'detach');
+    assert.equal(attached.length, seededMappings.length);
+    assert.ok(attached.every(m => /^\d+$/.test(m.evidence_id)));
+    assert.deepEqual(detached.map(m => m.evidence_id), seededMappings.map(m => m.evidence_id));
+    assert.deepEqual(db.writes.map(([verb]) => verb).filter((verb, i, all) => all.indexOf(verb) === i),
+      ['BEGIN', 'INSERT', 'DELETE', 'COMMIT']);
+  });
+
+  test('changes nothing when rerun against a synced store and database', async () => {
+    const products = await shopify.getAll('products.json?limit=250', 'products');
+    const handleKey = (handle) => handle.toLowerCase().replace(/_/g, '-');
+    const idByHandle = new Map(products.map(p => [handleKey(p.handle), String(p.id)]));
+    const synced = seededMappings.map(m => ({ ...m, evidence_id: idByHandle.get(handleKey(m.evidence_id)) }));
+
+    const db = fakeDb(seededCases, synced);
+    const { changes } = await syncManifest({ manifest, shopify, db });
+
+    assert.equal(changes, 0);
+    assert.deepEqual(db.writes.map(([verb]) => verb), ['BEGIN', 'COMMIT']);
+  });
+});
@@ -2,118 +2,513 @@
 
 import { neon } from '@neondatabase/serverless';
 
+import { validateActivity, validateEngagementEvent } from './activity-schema.js';
+import { authenticate, hasRole, timingSafeEqual } from './auth.js';
+import { mongoClientForEnv, mongoDate } from './mongo-client.js';
+import { Router } from './router.js';
+import { ShopifyClient, ShopifyError, ShopifyUserError } from './shopify-client.js';
+
+export { ActivityHub } from './activity-hub.js';
+
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Player-Id, X-Cart-Id, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'X-Cache, Age, X-Cache-TTL',
+};
+
+// Edge cache for the Shopify evidence list. Fresh for EVIDENCE_CACHE_TTL seconds, then
+// served stale for up to EVIDENCE_CACHE_STALE_TTL more while a background refresh runs.
+// The key carries a version the ActivityHub holds (see evidenceCacheKey).
+const EVIDENCE_CACHE_KEY = 'https://cache/evidence';
+const EVIDENCE_CACHE_TTL = 300;
+const EVIDENCE_CACHE_STALE_TTL = 3600;
+
+// Evidence comes from the Storefront API a page at a time; EVIDENCE_SOURCE=admin
+// switches back to the Admin REST products list
+const EVIDENCE_PAGE_SIZE = 100;
+const EVIDENCE_MAX_PAGES = 20;
+
+// case_evidence holds numeric Shopify product ids; anything else is a product handle
+// (FINGERPRINT_CARD) from rows seeded before shopify/sync.js rewrote them
+const PRODUCT_ID_PATTERN = /^\d+$/;
+
+// Live activity stream: replay from MongoDB on connect, then fan out via the ActivityHub
+const ACTIVITY_REPLAY_LIMIT = 20;
+const ACTIVITY_RESUME_LIMIT = 100;
+const ACTIVITY_HUB_NAME = 'global';
+// SSE ids the ActivityHub gives stored activities: "<timestamp ms>-<ObjectId>"
+const ACTIVITY_EVENT_ID_PATTERN = /^(\d+)-([0-9a-f]{24})$/;
+const ACTIVITY_BATCH_MAX = 50;
+const USER_AGENT_MAX_LENGTH = 256;
+
+// Case progress marks (%) that broadcast "someone is N% through <case>", each at most
+// once per player and case (case_progress.announced_milestone)
+const PROGRESS_MILESTONES = [50, 75];
+
+// Evidence engagement: the Evidence Store posts views and dwells, the cart routes add
+// cart_add/cart_remove, and GET /evidence/engagement scores the last hour (the
+// collection's TTL)
+const ENGAGEMENT_WINDOW_MS = 3600000;
+const ENGAGEMENT_EVENTS_MAX = 50;
+
+// Case authoring limits, mirroring the column sizes and checks in neon-schema.sql
+const CASE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CASE_FIELD_LIMITS = { case_number: 20, title: 200 };
+const EVIDENCE_ID_MAX_LENGTH = 50;
+
+// Player ids are anonymous browser sessions (anon_<uuid>) or Shopify customers (customer_<id>)
+const PLAYER_ID_PATTERN = /^[A-Za-z0-9_:-]{1,100}$/;
+
+// Storefront carts live in Shopify; the frontend only keeps the cart id (X-Cart-Id)
+const CART_ID_PREFIX = 'gid://shopify/Cart/';
+const CART_LINES_LIMIT = 100;
+const DISCOUNT_CODES_MAX = 5;
+const DISCOUNT_CODE_MAX_LENGTH = 255;
+
+// Shopify webhook topics and their handlers. Each topic is delivered to
+// /webhook/<topic with - for />, e.g. orders/paid -> /webhook/orders-paid;
+// shopify/webhooks.js keeps the store's subscriptions matching this list.
+const WEBHOOK_HANDLERS = {
+  'orders/paid': handleOrderPaid,
+  'refunds/create': handleRefundCreated,
+  'orders/cancelled': handleOrderCancelled,
+  'products/update': handleProductUpdate,
 };
 
+// case_analytics rollup (Cron Trigger or POST /analytics/rollup); its watermark row in
+// analytics_rollups marks how far the MongoDB events have been counted
+const ANALYTICS_ROLLUP_NAME = 'case_analytics';
+
+// Per-isolate request budgets for the write endpoints anyone can call
+const RATE_LIMITS = {
+  activity: { limit: 60, windowMs: 60000 },
+  activityBatch: { limit: 20, windowMs: 60000 },
+  checkout: { limit: 10, windowMs: 60000 },
+  cart: { limit: 60, windowMs: 60000 },
+  engagement: { limit: 30, windowMs: 60000 },
+  detectiveComment: { limit: 20, windowMs: 60000 },
+};
+
+const router = new Router({
+  middleware: [cors],
+  notFound: () => jsonResponse({ error: 'Not found' }, 404),
+  methodNotAllowed: (allow) => jsonResponse({ error: 'Method not allowed' }, 405, { Allow: allow.join(', ') }),
+});
+
+router
+  .get('/cases', (request, env) => handleGetCases(request, env), {
+    description: 'Cases with progress against collected evidence',
+  })
+  .post('/cases/:id(\\d+)/evaluate', (request, env, { params }) => handleEvaluateCase(request, params.id, env), {
+    description: 'Re-check a case and solve it if every critical item is owned',
+  })
+  .post('/cases/:id(\\d+)/checkout', (request, env, { params, executionCtx }) =>
+    handleCaseCheckout(request, env, parseInt(params.id), executionCtx), {
+    middleware: [rateLimit('checkout', RATE_LIMITS.checkout)],
+    description: "Checkout for exactly the case's missing critical evidence",
+  })
+  .get('/purchased-evidence', async (request, env) => {
+    const owned = await loadOwnedEvidence(env, getPlayerId(request));
+    return jsonResponse([...owned]);
+  }, {
+    description: 'Evidence ids collected by the player (or the world)',
+  })
+  .post('/reset-progress', (request, env, { principal }) => handleResetProgress(request, env, principal), {
+    middleware: [auth('operator')],
+    description: "Clear a player's progress, or everyone's with { scope: 'world' }",
+  })
+  .get('/auth/whoami', async (request, env) => {
+    const principal = await authenticate(request, env);
+    return principal
+      ? jsonResponse(principal)
+      : jsonResponse({ error: 'Unauthorized' }, 401);
+  }, {
+    description: 'The authenticated caller and role',
+  })
+  .get('/evidence', (request, env, { executionCtx }) => handleGetEvidence(request, env, executionCtx), {
+    description: 'Evidence products with their cases (edge cached, stale-while-revalidate)',
+  })
+  .get('/evidence/engagement', (request, env, { url }) => handleGetEngagement(url, env), {
+    description: 'Trending evidence: views, dwell and cart adds over the last hour, scored',
+  })
+  .post('/evidence/engagement', (request, env, { executionCtx }) =>
+    handlePostEngagement(request, env, executionCtx), {
+    middleware: [rateLimit('engagement', RATE_LIMITS.engagement)],
+    description: `Record up to ${ENGAGEMENT_EVENTS_MAX} evidence view/dwell events`,
+  })
+  .post('/cache/purge', (request, env, { principal }) => handlePurgeCache(env, principal), {
+    middleware: [auth('operator')],
+    description: 'Drop the cached evidence list',
+  })
+  .get('/metrics', (request, env) => handleGetMetrics(env), {
+    middleware: [auth('viewer')],
+    description: 'System stats',
+  })
+  .get('/analytics/cases', (request, env) => handleGetCaseAnalytics(env), {
+    middleware: [auth('viewer')],
+    description: 'Per-case funnel: views, cart adds, purchases, completions, time to solve',
+  })
+  .post('/analytics/rollup', (request, env, { principal, executionCtx }) =>
+    handleRollupAnalytics(env, principal, executionCtx), {
+    middleware: [auth('operator')],
+    description: 'Run the case analytics rollup now instead of waiting for the cron',
+  })
+  .post('/activity', (request, env) => handlePostActivity(request, env), {
+    middleware: [rateLimit('activity', RATE_LIMITS.activity)],
+    description: 'Log a user action (validated against activity-schema.js)',
+  })
+  .post('/activity/batch', (request, env) => handlePostActivityBatch(request, env), {
+    middleware: [rateLimit('activity-batch', RATE_LIMITS.activityBatch)],
+    description: `Log up to ${ACTIVITY_BATCH_MAX} user actions at once`,
+  })
+  .get('/activity/stream', (request, env) => handleActivityStream(request, env), {
+    description: 'Live activity over SSE or WebSocket',
+  })
+  .get('/progress', (request, env) => handleGetProgress(request, env), {
+    description: "The X-Player-Id session's progress per case: collected vs pending checkout",
+  })
+  .get('/cart', (request, env) => handleGetCart(request, env), {
+    description: 'Restore the X-Cart-Id cart, dropping evidence already owned',
+  })
+  .post('/cart/lines', (request, env, { executionCtx }) => handleAddCartLines(request, env, executionCtx), {
+    middleware: [rateLimit('cart', RATE_LIMITS.cart)],
+    description: 'Add evidence to the cart (creating it if needed), skipping owned or carted items',
+  })
+  .delete('/cart/lines/:evidence_id', (request, env, { params, executionCtx }) =>
+    handleRemoveCartLine(request, env, params.evidence_id, executionCtx), {
+    middleware: [rateLimit('cart', RATE_LIMITS.cart)],
+    description: 'Remove evidence from the cart',
+  })
+  .put('/cart/discount-codes', (request, env) => handleUpdateDiscountCodes(request, env), {
+    middleware: [rateLimit('cart', RATE_LIMITS.cart)],
+    description: 'Replace the discount codes on the cart, reporting any Shopify rejects',
+  })
+  .post('/checkout', (request, env) => handleCreateCheckout(request, env), {
+    middleware: [rateLimit('checkout', RATE_LIMITS.checkout)],
+    description: 'Checkout URL for the X-Cart-Id cart, optionally applying discount codes',
+  })
+  .post('/webhook/:topic([a-z_]+-[a-z_]+)', (request, env, { params }) => handleWebhook(request, env, params.topic), {
+    description: `Shopify webhooks (HMAC verified): ${Object.keys(WEBHOOK_HANDLERS).join(', ')}`,
+  })
+  .post('/detective-comment', (request, env) => handleDetectiveComment(request, env), {
+    middleware: [rateLimit('detective-comment', RATE_LIMITS.detectiveComment)],
+    description: 'Detective one-liner from Workers AI',
+  })
+  .get('/admin/audit', (request, env) => handleGetAuditLog(request, env), {
+    middleware: [auth('operator')],
+    description: 'Recent audit log entries',
+  })
+  .post('/admin/cases', (request, env, { principal }) => handleCreateCase(request, env, principal), {
+    middleware: [auth('admin')],
+    description: 'Create a case',
+  })
+  .put('/admin/cases/:id(\\d+)', (request, env, { principal, params }) =>
+    handleUpdateCase(request, env, principal, parseInt(params.id)), {
+    middleware: [auth('admin')],
+    description: 'Update a case',
+  })
+  .delete('/admin/cases/:id(\\d+)', (request, env, { principal, params }) =>
+    handleDeleteCase(env, principal, parseInt(params.id)), {
+    middleware: [auth('admin')],
+    description: 'Delete a case and its evidence mappings',
+  })
+  .post('/admin/cases/:id(\\d+)/evidence', (request, env, { principal, params }) =>
+    handleAttachEvidence(request, env, principal, parseInt(params.id)), {
+    middleware: [auth('admin')],
+    description: 'Attach evidence to a case',
+  })
+  .delete('/admin/cases/:id(\\d+)/evidence/:evidence_id', (request, env, { principal, params }) =>
+    handleDetachEvidence(env, principal, parseInt(params.id), params.evidence_id), {
+    middleware: [auth('admin')],
+    description: 'Detach evidence from a case',
+  })
+  .get('/routes', () => jsonResponse(router.table()), {
+    description: 'This route table',
+  });
+
 export default {
-  async fetch(request, env, _) {
+  async fetch(request, env, ctx) {
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: CORS_HEADERS });
     }
 
-    const url = new URL(request.url);
-    const path = url.pathname;
+    try {
+      return await router.handle(request, env, ctx);
+    } catch (error) {
+      console.error('Worker error:', error);
+      return jsonResponse({ error: error.message }, 500);
+    }
+  },
+
+  // Cron Trigger (see [triggers] in wrangler.toml)
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(
+      rollupCaseAnalytics(env, ctx)
+        .then(result => console.log('Case analytics rollup:', result))
+        .catch(error => console.error('Case analytics rollup failed:', error))
+    );
+  },
+};
+
+async function queryNeon(env, query, params = []) {
+  const sql = neon(env.NEON_DATABASE_URL);
+  const result = await sql.query(query, params);
+  return result.rows || result;
+}
+
+// Run several statements as a single non-interactive Neon transaction
+async function transactionNeon(env, queries) {
+  const sql = neon(env.NEON_DATABASE_URL);
+  const results = await sql.transaction(
+    queries.map(([query, params = []]) => sql.query(query, params))
+  );
+  return results.map(result => result.rows || result);
+}
+
+// MongoDB over the Data API (mongo-client.js). The client holds no state of its own,
+// so each env gets a fresh one rather than whichever env an isolate saw first.
+function getMongo(env) {
+  return mongoClientForEnv(env);
+}
+
+// Log an activity from the Worker (see logActivity in mongodb-schema.js) and
+// broadcast it to live clients. Best-effort: failures are logged, never surfaced.
+async function logActivity(env, type, data) {
+  const activity = { type, timestamp: new Date().toISOString(), data };
+
+  const errors = validateActivity({ type, data }, { client: false });
+  if (errors) {
+    console.warn(`${type} activity does not match its schema:`, errors);
+  }
 
+  if (!env.MONGODB_API_KEY) {
+    console.log('Activity:', type, data);
+  } else {
     try {
-      // Route to handlers
-
-      // Get all purchased evidence
-      if (url.pathname === '/purchased-evidence' && request.method === 'GET') {
-        const purchased = await queryNeon(env, `
-          SELECT evidence_id FROM purchased_evidence
-        `);
-        return jsonResponse(purchased.map(p => p.evidence_id));
-      }
+      activity.id = await getMongo(env).insertOne('activities', {
+        type,
+        timestamp: mongoDate(new Date(activity.timestamp)),
+        worker_id: crypto.randomUUID(),
+        data,
+      });
+    } catch (error) {
+      console.error(`Failed to log ${type} activity:`, error);
+    }
+  }
 
-      // Reset progress (clear all purchases and unsolved cases)
-      if (url.pathname === '/reset-progress' && request.method === 'POST') {
-        await queryNeon(env, `DELETE FROM purchased_evidence`);
-        await queryNeon(env, `UPDATE cases SET solved_at = NULL`);
-        return jsonResponse({ success: true });
-      }
+  await publishActivity(env, activity);
+}
 
-      if (path === '/cases') {
-        return await handleGetCases(env);
-      }
+// The single ActivityHub instance every live client is attached to
+function getActivityHub(env) {
+  return env.ACTIVITY_HUB.get(env.ACTIVITY_HUB.idFromName(ACTIVITY_HUB_NAME));
+}
 
-      if (path === '/evidence') {
-        return await handleGetEvidence(env);
-      }
+// Push an activity to every connected SSE/WebSocket client
+async function publishActivity(env, activity) {
+  if (!env.ACTIVITY_HUB) {
+    return;
+  }
 
-      if (path === '/metrics') {
-        return await handleGetMetrics(env);
-      }
+  try {
+    await getActivityHub(env).fetch('https://activity-hub/publish', {
+      method: 'POST',
+      body: JSON.stringify(activity),
+    });
+  } catch (error) {
+    console.error(`Failed to publish ${activity.type} activity:`, error);
+  }
+}
 
-      if (path === '/activity' && request.method === 'POST') {
-        return await handlePostActivity(request, env);
-      }
+// Latest activities of any type, oldest first for replay
+async function getRecentActivities(env, limit = ACTIVITY_REPLAY_LIMIT) {
+  const documents = await getMongo(env).find('activities', {
+    sort: { timestamp: -1, _id: -1 },
+    limit,
+  });
+  return documents.map(normalizeActivity).reverse();
+}
 
-      if (path === '/activity/stream') {
-        return await handleActivityStream(env);
-      }
+// Activities stored strictly after a stream event id, oldest first, for resuming. Ties on
+// the timestamp (a batch shares one) are broken by _id, the same order the ids follow.
+// Bare millisecond ids from before the ids carried an _id resume after that millisecond.
+async function getActivitiesAfter(env, lastEventId, limit = ACTIVITY_RESUME_LIMIT) {
+  const [, ms = lastEventId, objectId] = lastEventId.match(ACTIVITY_EVENT_ID_PATTERN) || [];
+  const timestamp = mongoDate(new Date(Number(ms)));
+  const filter = objectId
+    ? { $or: [{ timestamp: { $gt: timestamp } }, { timestamp, _id: { $gt: { $oid: objectId } } }] }
+    : { timestamp: { $gt: timestamp } };
+
+  const documents = await getMongo(env).find('activities', {
+    filter,
+    sort: { timestamp: 1, _id: 1 },
+    limit,
+  });
+  return documents.map(normalizeActivity);
+}
 
-      if (path === '/checkout' && request.method === 'POST') {
-        return await handleCreateCheckout(request, env);
-      }
+// Flatten an activity document from Extended JSON into a plain event
+function normalizeActivity(doc) {
+  return {
+    id: doc._id?.$oid || (doc._id == null ? doc._id : String(doc._id)),
+    type: doc.type,
+    timestamp: doc.timestamp?.$date || doc.timestamp,
+    data: doc.data || {},
+  };
+}
 
-      if (path === '/webhook/order') {
-        return await handleOrderWebhook(request, env);
-      }
+// Authenticate the caller and check they hold at least `role`.
+// Returns { principal } on success, or { response } carrying the 401/403 to send back.
+async function requireRole(request, env, role) {
+  const principal = await authenticate(request, env);
+  if (!principal) {
+    return { response: jsonResponse({ error: 'Unauthorized' }, 401) };
+  }
+  if (!hasRole(principal, role)) {
+    return { response: jsonResponse({ error: `Requires ${role} role` }, 403) };
+  }
+  return { principal };
+}
 
-      if (path === '/detective-comment' && request.method === 'POST') {
-        return await handleDetectiveComment(request, env);
-      }
+// Route middleware: require at least `role` and hand the principal on as ctx.principal
+function auth(role) {
+  const middleware = async (request, env, ctx, next) => {
+    const { principal, response } = await requireRole(request, env, role);
+    if (response) {
+      return response;
+    }
+    ctx.principal = principal;
+    return next();
+  };
+  middleware.label = `auth:${role}`;
+  return middleware;
+}
+
+// Route middleware: make sure every response carries the CORS headers, including
+// streams and proxied responses that weren't built with jsonResponse
+async function cors(request, env, ctx, next) {
+  const response = await next();
+  if (response.webSocket || response.headers.has('Access-Control-Allow-Origin')) {
+    return response;
+  }
 
-      return jsonResponse({ error: 'Not found' }, 404);
+  const headers = new Headers(response.headers);
+  Object.entries(CORS_HEADERS).forEach(([name, value]) => headers.set(name, value));
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
 
-    } catch (error) {
-      console.error('Worker error:', error);
-      return jsonResponse({ error: error.message }, 500);
+// Route middleware: fixed-window limit per client IP. Counters live in this isolate
+// only, so it blunts bursts rather than enforcing an exact global quota.
+function rateLimit(name, { limit, windowMs }) {
+  const windows = new Map();
+
+  const middleware = async (request, env, ctx, next) => {
+    const now = Date.now();
+    const client = request.headers.get('CF-Connecting-IP') || 'unknown';
+    let window = windows.get(client);
+
+    if (!window || window.resetAt <= now) {
+      if (windows.size > 10000) {
+        windows.clear();
+      }
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(client, window);
     }
-  },
-};
 
-async function queryNeon(env, query, params = []) {
-  const sql = neon(env.NEON_DATABASE_URL);
-  const result = await sql.query(query, params);
-  return result.rows || result;
+    window.count++;
+    if (window.count > limit) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      return jsonResponse({ error: 'Too many requests' }, 429, { 'Retry-After': String(retryAfter) });
+    }
+    return next();
+  };
+  middleware.label = `rate-limit:${name}(${limit}/${windowMs / 1000}s)`;
+  return middleware;
+}
+
+// Audit-log statement for who did what to which target; run it alongside the change itself
+function auditStatement(principal, action, target, details = {}) {
+  return [`
+    INSERT INTO audit_log (actor, role, auth_method, action, target, details)
+    VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+  `, [principal.subject, principal.role, principal.method, action, target, JSON.stringify(details)]];
 }
 
-// Use MongoDB Data API instead of the Node.js driver
-async function queryMongoDB(env, collection, operation, document = {}) {
-  const url = new URL(env.MONGODB_URI);
-  const database = url.pathname.slice(1) || 'crimelab';
+// A write ending in RETURNING, audited in the same statement only when it returned rows,
+// so an update or delete that matched nothing (a 404) leaves no audit entry
+function auditedStatement([query, params], principal, action, target, details = {}) {
+  const [, auditParams] = auditStatement(principal, action, target, details);
+  const param = (i) => `$${params.length + i}`;
+
+  return [`
+    WITH changed AS (${query}),
+    audit AS (
+      INSERT INTO audit_log (actor, role, auth_method, action, target, details)
+      SELECT ${param(1)}, ${param(2)}, ${param(3)}, ${param(4)}, ${param(5)}, ${param(6)}::jsonb
+      WHERE EXISTS (SELECT 1 FROM changed)
+    )
+    SELECT * FROM changed
+  `, [...params, ...auditParams]];
+}
 
-  const response = await fetch(`${env.MONGODB_DATA_API} /action/${operation} `, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'api-key': env.MONGODB_API_KEY,
-    },
-    body: JSON.stringify({
-      dataSource: env.MONGODB_CLUSTER || 'Cluster0',
-      database,
-      collection,
-      document,
-    }),
-  });
+// Reset one player's progress (body player_id or X-Player-Id), or, given
+// { "scope": "world" }, everyone's. A missing or malformed player id is a 400 rather than
+// a world reset, so a typo can't wipe every player.
+async function handleResetProgress(request, env, principal) {
+  const body = await readJsonBody(request);
+
+  if (body?.scope !== undefined && body.scope !== 'world') {
+    return validationError({ scope: "must be 'world' to reset everyone's progress" });
+  }
+  if (body?.scope === 'world') {
+    if (body.player_id !== undefined) {
+      return validationError({ player_id: "can't be combined with scope 'world'" });
+    }
+
+    // Per-player progress goes too, so no player keeps evidence or solves the world forgot
+    await transactionNeon(env, [
+      ['DELETE FROM purchased_evidence', []],
+      ['DELETE FROM player_evidence', []],
+      ['DELETE FROM player_cases', []],
+      ['UPDATE cases SET solved_at = NULL', []],
+      auditStatement(principal, 'reset_progress', 'world'),
+    ]);
 
-  if (!response.ok) {
-    throw new Error(`MongoDB operation failed: ${response.statusText} `);
+    console.log(`Progress reset by ${principal.subject} (${principal.role}): world`);
+    return jsonResponse({ success: true, player_id: null, scope: 'world' });
   }
 
-  return response.json();
+  const playerId = body?.player_id ?? request.headers.get('X-Player-Id');
+  if (!playerId) {
+    return validationError({ player_id: "is required; send { scope: 'world' } to reset everyone" });
+  }
+  if (typeof playerId !== 'string' || !PLAYER_ID_PATTERN.test(playerId)) {
+    return validationError({ player_id: 'must be 1-100 letters, digits, _, : or -' });
+  }
+
+  await transactionNeon(env, [
+    ['DELETE FROM player_evidence WHERE player_id = $1', [playerId]],
+    ['DELETE FROM player_cases WHERE player_id = $1', [playerId]],
+    auditStatement(principal, 'reset_progress', `player:${playerId}`),
+  ]);
+
+  console.log(`Progress reset by ${principal.subject} (${principal.role}):`, playerId);
+  return jsonResponse({ success: true, player_id: playerId, scope: 'player' });
+}
+
+// Read the player id sent by the frontend; requests without one see the world view
+function getPlayerId(request) {
+  const playerId = request.headers.get('X-Player-Id');
+  return playerId && PLAYER_ID_PATTERN.test(playerId) ? playerId : null;
 }
 
 // Get cases from Neon Postgres
-async function handleGetCases(env) {
+async function handleGetCases(request, env) {
   // For now, return mock data if database is not configured
   if (!env.NEON_API_KEY) {
-    return jsonResponse([
+    const mockCases = [
       {
         id: 1,
         number: 'C-2024-001',
@@ -121,7 +516,8 @@ async function handleGetCases(env) {
         description: 'A 19th century pocket watch vanished from the Blackwood Estate during a dinner party.',
         solution: 'The butler did it.',
         solved_at: null,
-        required_evidence: ['FINGERPRINT_CARD', 'GUEST_MANIFEST', 'SECURITY_LOG', 'FIBER_SAMPLE']
+        required_evidence: ['FINGERPRINT_CARD', 'GUEST_MANIFEST', 'SECURITY_LOG', 'FIBER_SAMPLE'],
+        critical_evidence: ['FINGERPRINT_CARD', 'GUEST_MANIFEST', 'SECURITY_LOG', 'FIBER_SAMPLE']
       },
       {
         id: 2,
@@ -130,290 +526,2070 @@ async function handleGetCases(env) {
         description: 'Dr. Chen was found dead in his laboratory. The door was locked from inside.',
         solution: 'Suicide by cryogenic exposure.',
         solved_at: null,
-        required_evidence: ['TEMPERATURE_LOG', 'CHEMICAL_RESIDUE', 'ENCRYPTED_DIARY', 'AUTOPSY_REPORT', 'EXPERIMENT_LOG']
+        required_evidence: ['TEMPERATURE_LOG', 'CHEMICAL_RESIDUE', 'ENCRYPTED_DIARY', 'AUTOPSY_REPORT', 'EXPERIMENT_LOG'],
+        critical_evidence: ['TEMPERATURE_LOG', 'CHEMICAL_RESIDUE', 'ENCRYPTED_DIARY', 'AUTOPSY_REPORT', 'EXPERIMENT_LOG']
       }
-    ]);
+    ];
+    return jsonResponse(mockCases.map(c => ({ ...c, ...evaluateCase(c, new Set()) })));
   }
 
-  const result = await queryNeon(env, `
-  SELECT
-  c.id,
-    c.case_number as number,
-    c.title,
-    c.description,
-    c.solution,
-    c.solved_at,
-    array_agg(ce.evidence_id) as required_evidence
-    FROM cases c
-    LEFT JOIN case_evidence ce ON c.id = ce.case_id
-    GROUP BY c.id
-    ORDER BY c.case_number
-    `);
+  const { cases, owned } = await loadCaseEvidence(env, { playerId: getPlayerId(request) });
 
-  return jsonResponse(result);
+  return jsonResponse(cases.map(c => ({ ...c, ...evaluateCase(c, owned) })));
 }
 
-// Get evidence from Shopify Admin API (REST)
-async function handleGetEvidence(env) {
-  // Check Worker cache first
-  const cache = caches.default;
-  const cacheKey = new Request('https://cache/evidence', { method: 'GET' });
-  // let response = await cache.match(cacheKey);
+// Re-evaluate one case against all collected evidence, solving it if complete
+async function handleEvaluateCase(request, caseId, env) {
+  const playerId = getPlayerId(request);
+  const { cases, owned } = await loadCaseEvidence(env, { caseId: parseInt(caseId), playerId });
+  const caseData = cases[0];
+
+  if (!caseData) {
+    return jsonResponse({ error: 'Case not found' }, 404);
+  }
 
-  // if (response) {
-  //   const data = await response.json();
-  //   return jsonResponse(data, 200, { 'X-Cache': 'HIT' });
-  // }
+  const evaluation = evaluateCase(caseData, owned);
+  let solvedAt = caseData.solved_at;
+  let newlySolved = false;
+
+  if (evaluation.solvable && !solvedAt) {
+    const [, solved] = await transactionNeon(env, playerId ? [
+      ['SELECT solve_player_case($1, $2)', [playerId, caseData.id]],
+      ['SELECT solved_at FROM player_cases WHERE player_id = $1 AND case_id = $2', [playerId, caseData.id]],
+    ] : [
+      ['SELECT solve_case($1)', [caseData.id]],
+      ['SELECT solved_at FROM cases WHERE id = $1', [caseData.id]],
+    ]);
+    solvedAt = solved[0]?.solved_at;
+    newlySolved = true;
 
-  // Return mock data if Shopify is not configured
-  if (!env.SHOPIFY_ADMIN_TOKEN) {
-    throw new Error("Must set SHOPIFY_ADMIN_TOKEN");
+    await logActivity(env, 'case_solved', {
+      case_ids: [caseData.id],
+      ...(playerId ? { session_id: playerId } : {}),
+      solved_by_purchase: false,
+    });
   }
 
-  // Fetch from Shopify Admin REST API
-  const shopifyResponse = await fetch(
-    `https://${env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-10/products.json?limit=50`,
-    {
-      method: 'GET',
-      headers: {
-        'X-Shopify-Access-Token': env.SHOPIFY_ADMIN_TOKEN,
-      },
-    }
-  );
+  return jsonResponse({
+    case_id: caseData.id,
+    player_id: playerId,
+    solved: Boolean(solvedAt),
+    solved_at: solvedAt,
+    newly_solved: newlySolved,
+    ...evaluation,
+  });
+}
 
-  if (!shopifyResponse.ok) {
-    return jsonResponse({ error: 'Failed to fetch from Shopify' }, 500);
+// Load cases with their evidence requirements, plus the evidence collected so far.
+// With a player id, solved_at and owned evidence are that player's; otherwise the world's.
+async function loadCaseEvidence(env, { caseId = null, playerId = null } = {}) {
+  const [cases, owned] = await Promise.all([
+    queryNeon(env, `
+      SELECT
+        c.id,
+        c.case_number as number,
+        c.title,
+        c.description,
+        c.solution,
+        c.difficulty,
+        CASE WHEN $2::varchar IS NULL THEN c.solved_at ELSE pc.solved_at END as solved_at,
+        CASE WHEN $2::varchar IS NULL THEN c.reopened_at ELSE pc.reopened_at END as reopened_at,
+        array_agg(ce.evidence_id) as required_evidence,
+        array_agg(ce.evidence_id) FILTER (WHERE ce.is_critical) as critical_evidence
+      FROM cases c
+      LEFT JOIN case_evidence ce ON c.id = ce.case_id
+      LEFT JOIN player_cases pc ON c.id = pc.case_id AND pc.player_id = $2
+      WHERE $1::integer IS NULL OR c.id = $1
+      GROUP BY c.id, pc.solved_at, pc.reopened_at
+      ORDER BY c.case_number
+    `, [caseId, playerId]),
+    loadOwnedEvidence(env, playerId),
+  ]);
+
+  return { cases: await resolveCaseEvidence(env, cases), owned };
+}
+
+// Swap any handles left in required_evidence/critical_evidence for product ids, so the
+// solver, checkout and progress all compare the ids purchases record. Only touches the
+// evidence cache when a handle is present; one that matches no product is kept as is.
+async function resolveCaseEvidence(env, cases) {
+  const hasHandles = cases.some(c => (c.required_evidence || [])
+    .some(id => id != null && !PRODUCT_ID_PATTERN.test(id)));
+  if (!hasHandles) {
+    return cases;
   }
 
-  const shopifyData = await shopifyResponse.json();
+  let resolve;
+  try {
+    resolve = productIdResolver((await loadCachedEvidence(env)).evidence);
+  } catch (error) {
+    console.error('Resolving evidence handles failed:', error);
+    return cases;
+  }
 
-  // Transform to our format
-  const evidence = shopifyData.products.map((product) => ({
-    id: product.id.toString(),
-    name: product.title,
-    description: product.body_html?.replace(/<[^>]*>/g, '') || '', // Strip HTML
-    price: product.variants[0]?.price || '0.00',
-    variant_id: `gid://shopify/ProductVariant/${product.variants[0]?.id}`,
+  const resolveAll = (ids) => ids && [...new Set(ids.map(id => (id == null ? id : resolve(id))))];
+  return cases.map(c => ({
+    ...c,
+    required_evidence: resolveAll(c.required_evidence),
+    critical_evidence: resolveAll(c.critical_evidence),
   }));
+}
 
-  console.log('Fetched evidence:', JSON.stringify(evidence.slice(0, 2), null, 2));
+// Evidence ids owned by a player, or by anyone when no player is given
+async function loadOwnedEvidence(env, playerId = null) {
+  const rows = playerId
+    ? await queryNeon(env, 'SELECT evidence_id FROM player_evidence WHERE player_id = $1', [playerId])
+    : await queryNeon(env, 'SELECT evidence_id FROM purchased_evidence');
+  return new Set(rows.map(r => r.evidence_id));
+}
 
-  // Cache for 5 minutes
-  const cacheResponse = new Response(JSON.stringify(evidence), {
-    headers: {
-      'Content-Type': 'application/json',
-      'Cache-Control': 'public, max-age=300',
-    },
-  });
-  await cache.put(cacheKey, cacheResponse);
+// The single definition of "solved": every critical evidence item is owned.
+// Non-critical items count as collected but are never required.
+function evaluateCase(caseData, owned) {
+  const required = (caseData.required_evidence || []).filter(Boolean);
+  const critical = (caseData.critical_evidence || []).filter(Boolean);
+  const missing = critical.filter(id => !owned.has(id));
+
+  return {
+    collected_evidence: required.filter(id => owned.has(id)),
+    missing_evidence: missing,
+    progress: critical.length
+      ? Math.round(((critical.length - missing.length) / critical.length) * 100)
+      : 0,
+    solvable: critical.length > 0 && missing.length === 0,
+  };
+}
+
+// Get evidence with the cases each item belongs to. Filters: ?case= (id or case number),
+// ?difficulty=, and ?unpurchased=true to drop what the player (or the world) already owns.
+async function handleGetEvidence(request, env, executionCtx) {
+  const params = new URL(request.url).searchParams;
+  const filters = {
+    case: params.get('case'),
+    difficulty: params.get('difficulty'),
+    unpurchased: params.get('unpurchased') === 'true',
+  };
+
+  if (filters.difficulty && !CASE_DIFFICULTIES.includes(filters.difficulty)) {
+    return validationError({ difficulty: `must be one of ${CASE_DIFFICULTIES.join(', ')}` });
+  }
+
+  let cached;
+  try {
+    cached = await loadCachedEvidence(env, executionCtx);
+  } catch (error) {
+    console.error('Evidence fetch failed:', error);
+    return jsonResponse({ error: 'Failed to fetch from Shopify' }, 500);
+  }
+
+  let evidence = cached.evidence;
+
+  if (filters.case) {
+    evidence = evidence.filter(item => item.cases.some(c =>
+      String(c.id) === filters.case || c.case_number === filters.case
+    ));
+  }
+  if (filters.difficulty) {
+    evidence = evidence.filter(item => item.cases.some(c => c.difficulty === filters.difficulty));
+  }
+  if (filters.unpurchased) {
+    const owned = await loadOwnedEvidence(env, getPlayerId(request));
+    evidence = evidence.filter(item => !owned.has(item.id));
+  }
 
-  return jsonResponse(evidence, 200, { 'X-Cache': 'MISS' });
+  return evidenceResponse(evidence, cached.status, cached.age, cached.ttl);
 }
 
-// Get metrics
-async function handleGetMetrics(env) {
-  if (!env.NEON_DATABASE_URL) {
-    return jsonResponse({
-      total_cases: 4,
-      solved_cases: 0,
-      evidence_count: 20,
-      worker_timestamp: new Date().toISOString(),
-    });
+// Evidence list from the edge cache while fresh, stale (with a background refresh) for a
+// while after that, and straight from Shopify on a miss. Without an execution context
+// (webhooks) stale entries are served as they are.
+async function loadCachedEvidence(env, executionCtx = null) {
+  const { ttl, staleTtl } = evidenceCacheSettings(env);
+  const key = await evidenceCacheKey(env);
+  const cached = await caches.default.match(key);
+
+  if (cached) {
+    const age = Math.floor((Date.now() - Number(cached.headers.get('X-Cached-At'))) / 1000);
+
+    if (age < ttl) {
+      return { evidence: await cached.json(), status: 'HIT', age, ttl };
+    }
+
+    if (age < ttl + staleTtl) {
+      executionCtx?.waitUntil(
+        refreshEvidenceCache(env, key).catch(error => console.error('Evidence refresh failed:', error))
+      );
+      return { evidence: await cached.json(), status: 'STALE', age, ttl };
+    }
   }
 
-  const [cases, solved, evidence] = await Promise.all([
-    queryNeon(env, 'SELECT COUNT(*) as count FROM cases'),
-    queryNeon(env, 'SELECT COUNT(*) as count FROM cases WHERE solved_at IS NOT NULL'),
-    queryNeon(env, 'SELECT COUNT(DISTINCT evidence_id) as count FROM case_evidence'),
-  ]);
+  return { evidence: await refreshEvidenceCache(env, key), status: 'MISS', age: 0, ttl };
+}
 
-  return jsonResponse({
-    total_cases: parseInt(cases[0]?.count || 0),
-    solved_cases: parseInt(solved[0]?.count || 0),
-    evidence_count: parseInt(evidence[0]?.count || 0),
-    worker_timestamp: new Date().toISOString(),
-  });
+// The Cache API is per data center, so a delete there would leave every other one
+// serving the old list. Instead the key carries a version kept by the ActivityHub (one
+// instance worldwide) and purgeEvidenceCache bumps it: every data center then misses.
+// Without the binding, or when the hub can't be reached, the key is unversioned.
+async function evidenceCacheKey(env) {
+  if (!env.ACTIVITY_HUB) {
+    return EVIDENCE_CACHE_KEY;
+  }
+  try {
+    const response = await getActivityHub(env).fetch('https://activity-hub/evidence-version');
+    if (!response.ok) throw new Error(`ActivityHub answered ${response.status}`);
+    const { version } = await response.json();
+    return `${EVIDENCE_CACHE_KEY}?v=${version}`;
+  } catch (error) {
+    console.error('Reading the evidence cache version failed:', error);
+    return EVIDENCE_CACHE_KEY;
+  }
 }
 
-// Post activity to MongoDB
-async function handlePostActivity(request, env) {
-  const activity = await request.json();
+// Invalidate the cached evidence list in every data center. Returns the new version, or
+// null when there is no hub and only this data center's entry could be deleted.
+async function purgeEvidenceCache(env) {
+  if (!env.ACTIVITY_HUB) {
+    await caches.default.delete(EVIDENCE_CACHE_KEY);
+    return null;
+  }
+  const response = await getActivityHub(env).fetch('https://activity-hub/evidence-version', { method: 'POST' });
+  if (!response.ok) throw new Error(`Purging the evidence cache failed: ActivityHub answered ${response.status}`);
+  return (await response.json()).version;
+}
 
-  // If MongoDB is not configured, just log and return success
-  if (!env.MONGODB_API_KEY) {
-    console.log('Activity:', activity);
-    return jsonResponse({ success: true, mock: true });
+// case_evidence rows with their cases, or null when Neon can't be reached
+async function loadCaseMappings(env) {
+  if (!env.NEON_DATABASE_URL) {
+    return [];
+  }
+  try {
+    return await queryNeon(env, `
+      SELECT ce.evidence_id, ce.is_critical, c.id, c.case_number, c.title, c.difficulty
+      FROM case_evidence ce
+      JOIN cases c ON c.id = ce.case_id
+      ORDER BY c.id
+    `);
+  } catch (error) {
+    console.error('Loading case mappings failed:', error);
+    return null;
+  }
+}
+
+// Merge case_evidence into each item: `cases` (with per-case criticality), `case_ids`,
+// `case_numbers`, and `is_critical` when any case needs it
+function attachCases(evidence, mappings) {
+  const resolve = productIdResolver(evidence);
+  const byEvidence = new Map();
+  for (const { evidence_id, ...mapping } of mappings) {
+    const id = resolve(evidence_id);
+    byEvidence.set(id, [...(byEvidence.get(id) || []), mapping]);
   }
 
-  await queryMongoDB(env, 'activities', 'insertOne', {
-    ...activity,
-    timestamp: new Date(),
-    worker_id: crypto.randomUUID(),
+  return evidence.map(item => {
+    const cases = (byEvidence.get(item.id) || [])
+      .filter((c, i, all) => all.findIndex(other => other.id === c.id) === i);
+
+    return {
+      ...item,
+      cases,
+      case_ids: cases.map(c => c.id),
+      case_numbers: cases.map(c => c.case_number),
+      is_critical: cases.some(c => c.is_critical),
+    };
   });
+}
 
-  return jsonResponse({ success: true });
+// Map a case_evidence value, product id or handle, to the product id in `evidence`
+function productIdResolver(evidence) {
+  const ids = new Map();
+  for (const item of evidence) {
+    ids.set(evidenceKey(item.id), item.id);
+    if (item.handle) ids.set(evidenceKey(item.handle), item.id);
+  }
+  return (evidenceId) => ids.get(evidenceKey(evidenceId)) ?? String(evidenceId);
 }
 
-// Server-Sent Events for live activity
-async function handleActivityStream(_) {
-  const encoder = new TextEncoder();
+// Shopify lowercases handles and may swap underscores for hyphens
+function evidenceKey(id) {
+  return String(id).toLowerCase().replace(/_/g, '-');
+}
 
-  // Create a simple SSE stream with mock data
-  const stream = new ReadableStream({
-    start(controller) {
-      // Send initial data
-      controller.enqueue(encoder.encode(`data: ${JSON.stringify({
-        type: 'connection_established',
-        timestamp: new Date().toISOString()
-      })}\n\n`));
-
-      // Send periodic updates
-      const interval = setInterval(() => {
-        const mockActivity = {
-          type: 'connection_count',
-          count: Math.floor(Math.random() * 10) + 1,
-          timestamp: new Date().toISOString()
-        };
-        controller.enqueue(encoder.encode(`data: ${JSON.stringify(mockActivity)}\n\n`));
-      }, 5000);
-
-      // Cleanup after 5 minutes
-      setTimeout(() => {
-        clearInterval(interval);
-        controller.close();
-      }, 300000);
-    },
-  });
+function evidenceCacheSettings(env) {
+  return {
+    ttl: parseInt(env.EVIDENCE_CACHE_TTL) || EVIDENCE_CACHE_TTL,
+    staleTtl: parseInt(env.EVIDENCE_CACHE_STALE_TTL) || EVIDENCE_CACHE_STALE_TTL,
+  };
+}
 
-  return new Response(stream, {
-    headers: {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      ...CORS_HEADERS,
-    },
+function evidenceResponse(evidence, status, age, ttl) {
+  return jsonResponse(evidence, 200, {
+    'X-Cache': status,
+    'Age': String(age),
+    'X-Cache-TTL': String(ttl),
   });
 }
 
-// Create Shopify checkout
-async function handleCreateCheckout(request, env) {
-  const { variant_ids } = await request.json();
+// Fetch the evidence list from Shopify, merge in the case mappings and store it in the
+// edge cache under `key` (see evidenceCacheKey); admin mapping changes purge it. Each
+// request starts its own refresh: a promise from another request's I/O can't be awaited
+// here. Without the mappings the list is still returned, but not cached.
+async function refreshEvidenceCache(env, key) {
+  const [products, mappings] = await Promise.all([fetchShopifyEvidence(env), loadCaseMappings(env)]);
+  const evidence = attachCases(products, mappings || []);
+  if (!mappings) {
+    return evidence;
+  }
 
+  const { ttl, staleTtl } = evidenceCacheSettings(env);
+  await caches.default.put(key, new Response(JSON.stringify(evidence), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `public, max-age=${ttl + staleTtl}`,
+      'X-Cached-At': String(Date.now()),
+    },
+  }));
+  return evidence;
+}
 
-  if (!variant_ids || variant_ids.length === 0) {
-    return jsonResponse({
-      checkout_url: null,
-      error: 'Cart is empty'
-    });
+async function fetchShopifyEvidence(env) {
+  if (env.EVIDENCE_SOURCE === 'admin') {
+    return fetchAdminEvidence(env);
   }
+  return fetchStorefrontEvidence(env);
+}
 
-  const lines = variant_ids.map(vid => ({
-    merchandiseId: vid,
-    quantity: 1,
-  }));
+// Every product via the Storefront API, following cursors until the last page
+async function fetchStorefrontEvidence(env) {
+  if (!env.SHOPIFY_STOREFRONT_TOKEN) {
+    throw new Error("Must set SHOPIFY_STOREFRONT_TOKEN");
+  }
 
-  const mutation = `
-    mutation cartCreate($input: CartInput!) {
-      cartCreate(input: $input) {
-        cart {
-          id
-          checkoutUrl
+  const query = `
+    query Evidence($first: Int!, $after: String) {
+      products(first: $first, after: $after, sortKey: ID) {
+        pageInfo {
+          hasNextPage
+          endCursor
         }
-        userErrors {
-          field
-          message
+        nodes {
+          id
+          handle
+          title
+          description
+          availableForSale
+          tags
+          featuredImage { url altText }
+          images(first: 10) {
+            nodes { url altText }
+          }
+          variants(first: 100) {
+            nodes {
+              id
+              title
+              sku
+              availableForSale
+              price { amount currencyCode }
+            }
+          }
         }
       }
     }
   `;
 
-  const shopifyResponse = await fetch(
-    `https://${env.SHOPIFY_STORE_DOMAIN}/api/2024-10/graphql.json`,
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Storefront-Access-Token': env.SHOPIFY_STOREFRONT_TOKEN,
-      },
-      body: JSON.stringify({
-        query: mutation,
-        variables: {
-          input: {
-            lines
-          },
-        },
-      }),
-    }
-  );
+  const products = [];
+  let after = null;
 
-  const checkoutData = await shopifyResponse.json();
-  const cart = checkoutData.data?.cartCreate?.cart;
-  const errors = checkoutData.data?.cartCreate?.userErrors;
+  for (let page = 0; page < EVIDENCE_MAX_PAGES; page++) {
+    const data = await getShopify(env).storefront(query, { first: EVIDENCE_PAGE_SIZE, after });
+    products.push(...data.products.nodes);
 
-  if (!cart || errors?.length > 0) {
-    console.error('Cart creation failed:', JSON.stringify(errors || checkoutData, null, 2));
-    return jsonResponse({
-      checkout_url: null,
-      error: errors?.[0]?.message || 'Failed to create cart'
-    });
+    if (!data.products.pageInfo.hasNextPage) {
+      break;
+    }
+    after = data.products.pageInfo.endCursor;
+    if (page === EVIDENCE_MAX_PAGES - 1) {
+      console.warn(`Evidence truncated at ${products.length} products (${EVIDENCE_MAX_PAGES} pages)`);
+    }
   }
 
-  return jsonResponse({ checkout_url: cart.checkoutUrl });
+  const evidence = products.map(product => toEvidence({
+    id: gidToId(product.id),
+    handle: product.handle,
+    name: product.title,
+    description: product.description,
+    available: product.availableForSale,
+    tags: product.tags,
+    image: product.featuredImage,
+    images: product.images.nodes,
+    variants: product.variants.nodes.map(variant => ({
+      id: variant.id,
+      title: variant.title,
+      sku: variant.sku,
+      available: variant.availableForSale,
+      price: variant.price.amount,
+      currency: variant.price.currencyCode,
+    })),
+  }));
+
+  console.log(`Fetched ${evidence.length} evidence items from Storefront API`);
+  return evidence;
 }
 
-// Webhook handler for completed orders
-async function handleOrderWebhook(request, env) {
-  const order = await request.json();
+// Fallback: first 50 products from the Admin REST API (needs the Admin token)
+async function fetchAdminEvidence(env) {
+  if (!env.SHOPIFY_ADMIN_TOKEN) {
+    throw new Error("Must set SHOPIFY_ADMIN_TOKEN");
+  }
 
-  console.log('=== ORDER WEBHOOK RECEIVED ===');
-  console.log('Order ID:', order.id);
+  // Fetch from Shopify Admin REST API
+  const shopifyData = await getShopify(env).get('products.json?limit=50');
 
-  if (!env.NEON_DATABASE_URL) {
-    return jsonResponse({ success: false, error: 'Database not configured' });
-  }
+  // Transform to our format
+  const evidence = shopifyData.products.map((product) => toEvidence({
+    id: product.id.toString(),
+    handle: product.handle,
+    name: product.title,
+    description: product.body_html?.replace(/<[^>]*>/g, '') || '', // Strip HTML
+    available: product.status === 'active',
+    tags: product.tags ? product.tags.split(',').map(tag => tag.trim()) : [],
+    image: product.image ? { url: product.image.src, altText: product.image.alt } : null,
+    images: (product.images || []).map(image => ({ url: image.src, altText: image.alt })),
+    variants: product.variants.map(variant => ({
+      id: `gid://shopify/ProductVariant/${variant.id}`,
+      title: variant.title,
+      sku: variant.sku,
+      available: variant.inventory_policy === 'continue' || variant.inventory_quantity > 0,
+      price: variant.price,
+      currency: null,
+    })),
+  }));
 
-  // Extract evidence IDs from line items
-  const evidenceIds = order.line_items.map(item => item.product_id.toString());
+  console.log('Fetched evidence:', JSON.stringify(evidence.slice(0, 2), null, 2));
+  return evidence;
+}
 
-  // Store purchased evidence globally
-  for (const evidenceId of evidenceIds) {
-    await queryNeon(env, `
-      INSERT INTO purchased_evidence (evidence_id, order_id)
-      VALUES ($1, $2)
-      ON CONFLICT (evidence_id) DO NOTHING
-    `, [evidenceId, order.id.toString()]);
-  }
+// The evidence shape the frontend uses. `price` and `variant_id` describe the variant a
+// single click buys: the first available one, or the first one if none are.
+function toEvidence({ variants, image, images, ...product }) {
+  const primary = variants.find(variant => variant.available) || variants[0];
+
+  return {
+    ...product,
+    price: primary ? Number(primary.price).toFixed(2) : '0.00',
+    variant_id: primary?.id || null,
+    image: image ? { url: image.url, alt: image.altText || '' } : null,
+    images: images.map(({ url, altText }) => ({ url, alt: altText || '' })),
+    variants: variants.map(variant => ({ ...variant, price: Number(variant.price).toFixed(2) })),
+  };
+}
 
-  // Check if any cases are now solved
-  const cases = await queryNeon(env, `
-    SELECT c.id, array_agg(ce.evidence_id) as required
-    FROM cases c
-    LEFT JOIN case_evidence ce ON c.id = ce.case_id
-    WHERE c.solved_at IS NULL
-    GROUP BY c.id
-  `);
+// gid://shopify/Product/123 -> "123", the id case_evidence stores
+function gidToId(gid) {
+  return gid.split('/').pop();
+}
 
-  const solvedCaseIds = [];
-  for (const c of cases) {
-    const allPurchased = c.required.every(req => evidenceIds.includes(req));
-    if (allPurchased) {
-      solvedCaseIds.push(c.id);
-    }
+// One Shopify client per isolate and configuration, so rate-limit readings carry across
+// requests without a changed store or token reusing a client built for another
+let shopifyClient = null;
+
+function getShopify(env) {
+  const config = {
+    storeDomain: env.SHOPIFY_STORE_DOMAIN,
+    adminToken: env.SHOPIFY_ADMIN_TOKEN,
+    storefrontToken: env.SHOPIFY_STOREFRONT_TOKEN,
+    apiVersion: env.SHOPIFY_API_VERSION,
+  };
+  const key = JSON.stringify(config);
+  if (shopifyClient?.key !== key) {
+    shopifyClient = { key, client: new ShopifyClient(config) };
   }
+  return shopifyClient.client;
+}
 
-  if (solvedCaseIds.length > 0) {
-    await queryNeon(env, `
-      UPDATE cases 
-      SET solved_at = NOW() 
-      WHERE id = ANY($1)
-    `, [solvedCaseIds]);
-  }
+// Drop the cached evidence list so the next request in any data center goes to Shopify
+async function handlePurgeCache(env, principal) {
+  const version = await purgeEvidenceCache(env);
+  await queryNeon(env, ...auditStatement(principal, 'purge_cache', 'evidence', { version }));
+  return jsonResponse(purgeResult(version));
+}
 
-  return jsonResponse({
-    success: true,
-    evidence_count: evidenceIds.length,
-    solved_cases: solvedCaseIds
-  });
+// products/update: the cached evidence list is now out of date
+async function handleProductUpdate(env, product) {
+  const version = await purgeEvidenceCache(env);
+  console.log(`Product ${product.id} updated; evidence cache purged:`, version ?? 'this data center only');
+
+  return jsonResponse(purgeResult(version));
+}
+
+// `scope` says how far a purge reached: everywhere, or (without the hub) this data center
+function purgeResult(version) {
+  return { success: true, purged: true, scope: version === null ? 'data_center' : 'global', version };
+}
+
+// Get metrics
+async function handleGetMetrics(env) {
+  if (!env.NEON_DATABASE_URL) {
+    return jsonResponse({
+      total_cases: 4,
+      solved_cases: 0,
+      evidence_count: 20,
+      worker_timestamp: new Date().toISOString(),
+    });
+  }
+
+  const [cases, solved, evidence] = await Promise.all([
+    queryNeon(env, 'SELECT COUNT(*) as count FROM cases'),
+    queryNeon(env, 'SELECT COUNT(*) as count FROM cases WHERE solved_at IS NOT NULL'),
+    queryNeon(env, 'SELECT COUNT(DISTINCT evidence_id) as count FROM case_evidence'),
+  ]);
+
+  return jsonResponse({
+    total_cases: parseInt(cases[0]?.count || 0),
+    solved_cases: parseInt(solved[0]?.count || 0),
+    evidence_count: parseInt(evidence[0]?.count || 0),
+    worker_timestamp: new Date().toISOString(),
+  });
+}
+
+// Funnel per case from case_analytics, as of the last rollup
+async function handleGetCaseAnalytics(env) {
+  if (!env.NEON_DATABASE_URL) {
+    return jsonResponse({
+      cases: [],
+      funnel: { views: 0, cart_adds: 0, purchases: 0, completions: 0 },
+      rolled_up_through: null,
+    });
+  }
+
+  const [rows, watermark] = await Promise.all([
+    queryNeon(env, `
+      SELECT c.id, c.case_number, c.title, c.difficulty,
+             COALESCE(ca.views, 0) as views,
+             COALESCE(ca.cart_adds, 0) as cart_adds,
+             COALESCE(ca.purchases, 0) as purchases,
+             COALESCE(ca.completions, 0) as completions,
+             ca.avg_time_to_solve_minutes
+      FROM cases c
+      LEFT JOIN case_analytics ca ON ca.case_id = c.id
+      ORDER BY c.id
+    `),
+    queryNeon(env, 'SELECT rolled_up_through FROM analytics_rollups WHERE name = $1', [ANALYTICS_ROLLUP_NAME]),
+  ]);
+
+  const cases = rows.map(row => ({
+    case_id: row.id,
+    case_number: row.case_number,
+    title: row.title,
+    difficulty: row.difficulty,
+    views: row.views,
+    cart_adds: row.cart_adds,
+    purchases: row.purchases,
+    completions: row.completions,
+    avg_time_to_solve_minutes: row.avg_time_to_solve_minutes,
+  }));
+  const total = (key) => cases.reduce((sum, c) => sum + c[key], 0);
+
+  return jsonResponse({
+    cases,
+    funnel: {
+      views: total('views'),
+      cart_adds: total('cart_adds'),
+      purchases: total('purchases'),
+      completions: total('completions'),
+    },
+    rolled_up_through: watermark[0]?.rolled_up_through || null,
+  });
+}
+
+async function handleRollupAnalytics(env, principal, executionCtx) {
+  const result = await rollupCaseAnalytics(env, executionCtx);
+  await queryNeon(env, ...auditStatement(principal, 'rollup_analytics', ANALYTICS_ROLLUP_NAME, result));
+  return jsonResponse(result);
+}
+
+// Roll the MongoDB events since the last run into case_analytics: case_viewed activities
+// become views, evidence_engagement cart adds count toward every case the evidence
+// belongs to, and purchases are recounted from Neon (orders holding any of the case's
+// evidence, less refunds). Time to solve is averaged over the sessions in `activities`
+// (kept 7 days) that viewed a case and later solved it. Completions are already kept
+// by solve_case()/reopen_case().
+async function rollupCaseAnalytics(env, executionCtx) {
+  const until = new Date();
+  const [watermark] = await queryNeon(env,
+    'SELECT rolled_up_through FROM analytics_rollups WHERE name = $1',
+    [ANALYTICS_ROLLUP_NAME]
+  );
+  const since = watermark ? new Date(watermark.rolled_up_through) : null;
+
+  const window = { ...(since ? { $gt: mongoDate(since) } : {}), $lte: mongoDate(until) };
+  const aggregate = async (collection, pipeline) => (env.MONGODB_API_KEY
+    ? getMongo(env).aggregate(collection, pipeline)
+    : []);
+
+  const [views, cartAdds, solveTimes, { evidence }] = await Promise.all([
+    aggregate('activities', [
+      { $match: { type: 'case_viewed', timestamp: window } },
+      { $group: { _id: { $ifNull: ['$data.case_id', '$case_id'] }, count: { $sum: 1 } } },
+    ]),
+    aggregate('evidence_engagement', [
+      { $match: { event_type: 'cart_add', timestamp: window } },
+      { $group: { _id: '$evidence_id', count: { $sum: 1 } } },
+    ]),
+    aggregate('activities', [
+      { $match: { type: { $in: ['case_viewed', 'case_solved'] } } },
+      {
+        $project: {
+          type: 1,
+          timestamp: 1,
+          session_id: { $ifNull: ['$data.session_id', '$session_id'] },
+          // case_solved lists case_ids; a scalar case_id unwinds as itself
+          case_id: { $ifNull: ['$data.case_ids', { $ifNull: ['$data.case_id', '$case_id'] }] },
+        },
+      },
+      { $match: { session_id: { $ne: null } } },
+      { $unwind: '$case_id' },
+      {
+        $group: {
+          _id: { session_id: '$session_id', case_id: '$case_id' },
+          viewed: { $min: { $cond: [{ $eq: ['$type', 'case_viewed'] }, '$timestamp', null] } },
+          solved: { $min: { $cond: [{ $eq: ['$type', 'case_solved'] }, '$timestamp', null] } },
+        },
+      },
+      { $match: { viewed: { $ne: null }, solved: { $ne: null }, $expr: { $gt: ['$solved', '$viewed'] } } },
+      {
+        $group: {
+          _id: '$_id.case_id',
+          avg_minutes: { $avg: { $divide: [{ $subtract: ['$solved', '$viewed'] }, 60000] } },
+        },
+      },
+    ]),
+    loadCachedEvidence(env, executionCtx),
+  ]);
+
+  const evidenceCases = evidence.flatMap(item => item.case_ids.map(caseId => [item.id, caseId]));
+
+  const rollup = new Map();
+  const caseRollup = (caseId) => {
+    const id = parseInt(caseId);
+    if (!rollup.has(id)) rollup.set(id, { views: 0, cart_adds: 0, avg_minutes: null });
+    return rollup.get(id);
+  };
+  views.filter(v => v._id != null).forEach(v => { caseRollup(v._id).views += v.count; });
+  for (const { _id: evidenceId, count } of cartAdds) {
+    evidenceCases
+      .filter(([id]) => id === evidenceId)
+      .forEach(([, caseId]) => { caseRollup(caseId).cart_adds += count; });
+  }
+  solveTimes.forEach(s => { caseRollup(s._id).avg_minutes = Math.round(s.avg_minutes); });
+  const rows = [...rollup].filter(([caseId]) => !isNaN(caseId));
+
+  // Claiming the window first means an overlapping run (cron plus a manual one) finds the
+  // watermark moved, and its updates below match nothing rather than counting twice
+  const claimed = 'EXISTS (SELECT 1 FROM analytics_rollups WHERE name = $1 AND rolled_up_through = $2::timestamp)';
+  const claimParams = [ANALYTICS_ROLLUP_NAME, until.toISOString()];
+  const [claim] = await transactionNeon(env, [
+    [`
+      INSERT INTO analytics_rollups (name, rolled_up_through)
+      VALUES ($1, $2)
+      ON CONFLICT (name) DO UPDATE
+      SET rolled_up_through = EXCLUDED.rolled_up_through,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE analytics_rollups.rolled_up_through = $3::timestamp
+      RETURNING name
+    `, [ANALYTICS_ROLLUP_NAME, until.toISOString(), since?.toISOString() ?? null]],
+    [`
+      INSERT INTO case_analytics (case_id)
+      SELECT c.id FROM cases c
+      WHERE NOT EXISTS (SELECT 1 FROM case_analytics ca WHERE ca.case_id = c.id)
+        AND ${claimed}
+    `, claimParams],
+    [`
+      UPDATE case_analytics ca
+      SET views = ca.views + r.views,
+          cart_adds = ca.cart_adds + r.cart_adds,
+          avg_time_to_solve_minutes = COALESCE(r.avg_minutes, ca.avg_time_to_solve_minutes),
+          last_updated = CURRENT_TIMESTAMP
+      FROM unnest($3::int[], $4::int[], $5::int[], $6::int[]) AS r(case_id, views, cart_adds, avg_minutes)
+      WHERE ca.case_id = r.case_id
+        AND ${claimed}
+    `, [
+      ...claimParams,
+      rows.map(([caseId]) => caseId),
+      rows.map(([, r]) => r.views),
+      rows.map(([, r]) => r.cart_adds),
+      rows.map(([, r]) => r.avg_minutes),
+    ]],
+    [`
+      UPDATE case_analytics ca
+      SET purchases = (
+            SELECT COUNT(DISTINCT p.order_id)
+            FROM purchases p
+            JOIN unnest($3::text[], $4::int[]) AS m(evidence_id, case_id)
+              ON m.evidence_id = ANY(p.evidence_ids)
+             AND NOT m.evidence_id = ANY(p.refunded_evidence_ids)
+            WHERE m.case_id = ca.case_id
+          ),
+          last_updated = CURRENT_TIMESTAMP
+      WHERE ${claimed}
+    `, [...claimParams, evidenceCases.map(([id]) => id), evidenceCases.map(([, caseId]) => caseId)]],
+  ]);
+
+  if (claim.length === 0) {
+    return { skipped: true, reason: 'Another rollup moved the watermark first', since, until };
+  }
+
+  return {
+    since,
+    until,
+    cases: rows.length,
+    views: rows.reduce((sum, [, r]) => sum + r.views, 0),
+    cart_adds: rows.reduce((sum, [, r]) => sum + r.cart_adds, 0),
+  };
+}
+
+// Log one client activity, `{ type, data }`
+async function handlePostActivity(request, env) {
+  const activity = await readJsonBody(request);
+  const errors = validateActivity(activity);
+  if (errors) {
+    return validationError(errors);
+  }
+
+  return jsonResponse(await storeActivities(request, env, [activity]));
+}
+
+// Log `{ activities: [...] }` in one insert; one invalid activity rejects the batch
+async function handlePostActivityBatch(request, env) {
+  const body = await readJsonBody(request);
+  const activities = body?.activities;
+  if (!Array.isArray(activities) || activities.length === 0) {
+    return validationError({ activities: 'must be a non-empty list' });
+  }
+  if (activities.length > ACTIVITY_BATCH_MAX) {
+    return validationError({ activities: `must hold at most ${ACTIVITY_BATCH_MAX} activities` });
+  }
+
+  const errors = {};
+  activities.forEach((activity, i) => {
+    Object.entries(validateActivity(activity) || {}).forEach(([field, message]) => {
+      errors[`activities[${i}].${field}`] = message;
+    });
+  });
+  if (Object.keys(errors).length > 0) {
+    return validationError(errors);
+  }
+
+  return jsonResponse(await storeActivities(request, env, activities));
+}
+
+// Store validated client activities as { type, timestamp, worker_id, data } documents
+// and broadcast them. The session (X-Player-Id), hashed IP and user agent come from the
+// request headers; the last two stay in MongoDB and are never broadcast.
+async function storeActivities(request, env, activities) {
+  const timestamp = new Date();
+  const sessionId = getPlayerId(request);
+  const userAgent = request.headers.get('User-Agent');
+  const ipHash = await hashClientIp(request, env);
+
+  const events = activities.map(({ type, data = {} }) => ({
+    type,
+    timestamp: timestamp.toISOString(),
+    data: { ...data, ...(sessionId ? { session_id: sessionId } : {}) },
+  }));
+
+  // If MongoDB is not configured, just log and broadcast
+  if (!env.MONGODB_API_KEY) {
+    events.forEach(event => console.log('Activity:', event.type, event.data));
+  } else {
+    const insertedIds = await getMongo(env).insertMany('activities', events.map(event => ({
+      type: event.type,
+      timestamp: mongoDate(timestamp),
+      worker_id: crypto.randomUUID(),
+      data: event.data,
+      ...(ipHash ? { ip_hash: ipHash } : {}),
+      ...(userAgent ? { user_agent: userAgent.slice(0, USER_AGENT_MAX_LENGTH) } : {}),
+    })));
+    events.forEach((event, i) => {
+      event.id = insertedIds[i];
+    });
+  }
+
+  await Promise.all(events.map(event => publishActivity(env, event)));
+
+  return {
+    success: true,
+    count: events.length,
+    ...(env.MONGODB_API_KEY ? {} : { mock: true }),
+  };
+}
+
+// SHA-256 of the client IP, salted with IP_HASH_SALT when set: enough to tell visitors
+// apart without storing where they connect from
+async function hashClientIp(request, env) {
+  const ip = request.headers.get('CF-Connecting-IP');
+  if (!ip) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${env.IP_HASH_SALT || ''}${ip}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Live activity over Server-Sent Events (or WebSocket): attach the client to the
+// ActivityHub Durable Object. A fresh client first gets recent history; a client
+// reconnecting with Last-Event-ID gets the activities it missed instead.
+async function handleActivityStream(request, env) {
+  if (!env.ACTIVITY_HUB) {
+    return jsonResponse({ error: 'Live activity is not configured (no ACTIVITY_HUB binding)' }, 503);
+  }
+
+  const hub = getActivityHub(env);
+  // Recorded against the connection in MongoDB `connections`; EventSource and WebSocket
+  // can't set headers, so the query param is the usual route
+  const requested = request.headers.get('X-Player-Id') || new URL(request.url).searchParams.get('player_id');
+  const sessionId = requested && PLAYER_ID_PATTERN.test(requested) ? requested : null;
+
+  if (request.headers.get('Upgrade') === 'websocket') {
+    const connectUrl = `https://activity-hub/connect${sessionId ? `?session_id=${encodeURIComponent(sessionId)}` : ''}`;
+    return hub.fetch(new Request(connectUrl, request));
+  }
+
+  // EventSource sends the header itself; the query param covers manual reconnects
+  const lastEventId = request.headers.get('Last-Event-ID')
+    || new URL(request.url).searchParams.get('last_event_id');
+  const resumeFrom = ACTIVITY_EVENT_ID_PATTERN.test(lastEventId || '') || /^\d+$/.test(lastEventId || '')
+    ? lastEventId
+    : null;
+
+  let replay = [];
+  let missed = [];
+  if (env.MONGODB_API_KEY) {
+    try {
+      if (resumeFrom) {
+        missed = await getActivitiesAfter(env, resumeFrom);
+      } else {
+        replay = await getRecentActivities(env);
+      }
+    } catch (error) {
+      console.error('Activity replay failed:', error);
+    }
+  }
+
+  const hubResponse = await hub.fetch('https://activity-hub/connect', {
+    method: 'POST',
+    body: JSON.stringify({ replay, missed, session_id: sessionId }),
+  });
+
+  return new Response(hubResponse.body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    },
+  });
+}
+
+// Storefront fields every cart route returns
+const CART_FRAGMENT = `
+  fragment CartFields on Cart {
+    id
+    checkoutUrl
+    totalQuantity
+    cost {
+      subtotalAmount { amount currencyCode }
+      totalAmount { amount }
+    }
+    discountCodes { code applicable }
+    discountAllocations {
+      discountedAmount { amount }
+    }
+    lines(first: ${CART_LINES_LIMIT}) {
+      nodes {
+        id
+        quantity
+        discountAllocations {
+          discountedAmount { amount }
+        }
+        merchandise {
+          ... on ProductVariant {
+            id
+            price { amount }
+            product { id title }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Read the cart id the frontend keeps in localStorage
+function getCartId(request) {
+  const cartId = request.headers.get('X-Cart-Id');
+  return cartId && cartId.startsWith(CART_ID_PREFIX) ? cartId : null;
+}
+
+// Restore the stored cart. Evidence bought since it was filled (or carted twice) is tidied
+// away; a cart Shopify no longer knows comes back empty with cart_id null.
+async function handleGetCart(request, env) {
+  const cartId = getCartId(request);
+
+  try {
+    let cart = cartId ? await fetchCart(env, cartId) : null;
+    if (cart) {
+      cart = await tidyCart(env, cart, await loadOwnedEvidence(env, getPlayerId(request)));
+    }
+    return jsonResponse(toCart(cart));
+  } catch (error) {
+    return cartError(error);
+  }
+}
+
+// Add evidence by id, creating the cart on first use. Items the player owns, already has in
+// the cart, or that Shopify can't sell are reported in `skipped` rather than added.
+async function handleAddCartLines(request, env, executionCtx) {
+  const body = await readJsonBody(request);
+  const evidenceIds = [...new Set([].concat(body?.evidence_ids || []).map(String))];
+  if (evidenceIds.length === 0) {
+    return validationError({ evidence_ids: 'must list at least one evidence id' });
+  }
+
+  const playerId = getPlayerId(request);
+  const cartId = getCartId(request);
+
+  try {
+    const [{ evidence }, owned, existing] = await Promise.all([
+      loadCachedEvidence(env, executionCtx),
+      loadOwnedEvidence(env, playerId),
+      cartId ? fetchCart(env, cartId) : null,
+    ]);
+    const carted = new Set(toCart(existing).lines.map(line => line.evidence_id));
+
+    const lines = [];
+    const added = [];
+    const skipped = [];
+    for (const id of evidenceIds) {
+      const item = evidence.find(e => e.id === id);
+      const reason = owned.has(id) ? 'owned'
+        : carted.has(id) ? 'in_cart'
+        : !item?.variant_id ? 'unknown'
+        : item.available === false ? 'sold_out'
+        : null;
+
+      if (reason) {
+        skipped.push({ evidence_id: id, reason });
+      } else {
+        lines.push({ merchandiseId: item.variant_id, quantity: 1 });
+        added.push(id);
+      }
+    }
+
+    let cart = existing;
+    if (lines.length > 0 && existing) {
+      const data = await getShopify(env).storefront(`
+        mutation cartLinesAdd($cartId: ID!, $lines: [CartLineInput!]!) {
+          cartLinesAdd(cartId: $cartId, lines: $lines) {
+            cart { ...CartFields }
+            userErrors { field message code }
+          }
+        }
+        ${CART_FRAGMENT}
+      `, { cartId: existing.id, lines });
+      cart = data.cartLinesAdd.cart;
+    } else if (lines.length > 0) {
+      const data = await getShopify(env).storefront(`
+        mutation cartCreate($input: CartInput!) {
+          cartCreate(input: $input) {
+            cart { ...CartFields }
+            userErrors { field message code }
+          }
+        }
+        ${CART_FRAGMENT}
+      `, {
+        input: {
+          lines,
+          // Comes back on the order webhook as note_attributes
+          attributes: playerId ? [{ key: 'player_id', value: playerId }] : [],
+        },
+      });
+      cart = data.cartCreate.cart;
+    }
+
+    const result = toCart(cart);
+    executionCtx.waitUntil(Promise.all([
+      updateCaseProgress(env, playerId, evidenceIds, result),
+      recordEngagement(env, playerId, 'cart_add', added),
+    ]));
+    return jsonResponse({ ...result, skipped });
+  } catch (error) {
+    return cartError(error);
+  }
+}
+
+// Remove every line holding this evidence
+async function handleRemoveCartLine(request, env, evidenceId, executionCtx) {
+  const cartId = getCartId(request);
+  if (!cartId) {
+    return jsonResponse({ error: 'X-Cart-Id header required' }, 400);
+  }
+
+  try {
+    let cart = await fetchCart(env, cartId);
+    if (!cart) {
+      return jsonResponse({ error: 'Cart not found' }, 404);
+    }
+
+    const lineIds = cart.lines.nodes
+      .filter(line => gidToId(line.merchandise.product.id) === evidenceId)
+      .map(line => line.id);
+    if (lineIds.length > 0) {
+      cart = await removeCartLines(env, cart.id, lineIds);
+    }
+
+    const result = toCart(cart);
+    executionCtx.waitUntil(Promise.all([
+      updateCaseProgress(env, getPlayerId(request), [evidenceId], result),
+      recordEngagement(env, getPlayerId(request), 'cart_remove', lineIds.length > 0 ? [evidenceId] : []),
+    ]));
+    return jsonResponse(result);
+  } catch (error) {
+    return cartError(error);
+  }
+}
+
+// Checkout the stored cart: Shopify's checkoutUrl for it, once tidied. Optional
+// `discount_codes` replace the cart's codes first; the response carries the discounted
+// totals and any codes Shopify turned down, with why.
+async function handleCreateCheckout(request, env) {
+  const cartId = getCartId(request);
+  const playerId = getPlayerId(request);
+  const body = await readJsonBody(request);
+
+  let codes = null;
+  if (body?.discount_codes !== undefined) {
+    codes = parseDiscountCodes(body.discount_codes);
+    if (!codes) {
+      return validationError({ discount_codes: discountCodesRule() });
+    }
+  }
+
+  let cart;
+  let rejected = [];
+  try {
+    cart = cartId ? await fetchCart(env, cartId) : null;
+    if (cart) {
+      cart = await tidyCart(env, cart, await loadOwnedEvidence(env, playerId));
+    }
+    if (cart && codes) {
+      ({ cart, rejected } = await applyDiscountCodes(env, cart.id, codes));
+    }
+  } catch (error) {
+    if (!(error instanceof ShopifyError)) throw error;
+
+    console.error('Cart lookup failed:', JSON.stringify(error.errors, null, 2));
+    return jsonResponse({
+      checkout_url: null,
+      error: error instanceof ShopifyUserError ? error.userErrors[0].message : 'Failed to load cart'
+    });
+  }
+
+  const result = toCart(cart);
+  if (result.lines.length === 0) {
+    return jsonResponse({
+      checkout_url: null,
+      error: 'Cart is empty'
+    });
+  }
+
+  await logActivity(env, 'checkout_created', {
+    variant_ids: result.lines.map(line => line.variant_id),
+    checkout_id: cart.id,
+    discount_codes: result.discount_codes.filter(d => d.applicable).map(d => d.code),
+    ...(playerId ? { session_id: playerId } : {}),
+  });
+
+  return jsonResponse({
+    checkout_url: result.checkout_url,
+    subtotal: result.subtotal,
+    discount: result.discount,
+    total: result.total,
+    currency: result.currency,
+    discount_codes: result.discount_codes,
+    rejected,
+  });
+}
+
+// Replace the cart's discount codes (an empty list removes them all)
+async function handleUpdateDiscountCodes(request, env) {
+  const cartId = getCartId(request);
+  if (!cartId) {
+    return jsonResponse({ error: 'X-Cart-Id header required' }, 400);
+  }
+
+  const body = await readJsonBody(request);
+  const codes = parseDiscountCodes(body?.discount_codes);
+  if (!codes) {
+    return validationError({ discount_codes: discountCodesRule() });
+  }
+
+  try {
+    const { cart, rejected } = await applyDiscountCodes(env, cartId, codes);
+    if (!cart) {
+      return jsonResponse({ error: 'Cart not found' }, 404);
+    }
+    return jsonResponse({ ...toCart(cart), rejected });
+  } catch (error) {
+    return cartError(error);
+  }
+}
+
+// Trimmed, de-duplicated (Shopify codes are case-insensitive) list, or null when invalid
+function parseDiscountCodes(value) {
+  if (!Array.isArray(value) || value.length > DISCOUNT_CODES_MAX) return null;
+  if (!value.every(code => typeof code === 'string' && code.trim() && code.trim().length <= DISCOUNT_CODE_MAX_LENGTH)) {
+    return null;
+  }
+
+  const codes = value.map(code => code.trim());
+  return codes.filter((code, i) => codes.findIndex(other => other.toUpperCase() === code.toUpperCase()) === i);
+}
+
+function discountCodesRule() {
+  return `must be an array of up to ${DISCOUNT_CODES_MAX} codes of at most ${DISCOUNT_CODE_MAX_LENGTH} characters`;
+}
+
+// Set the cart's discount codes. Shopify keeps codes it can't honour on the cart with
+// applicable: false, explaining why in the payload's warnings; those come back as
+// `rejected` [{ code, reason, message }], each with the warning that names it, if any.
+// userErrors (an unknown cart, say) throw a ShopifyUserError for cartError.
+async function applyDiscountCodes(env, cartId, codes) {
+  const data = await getShopify(env).storefront(`
+    mutation cartDiscountCodesUpdate($cartId: ID!, $discountCodes: [String!]!) {
+      cartDiscountCodesUpdate(cartId: $cartId, discountCodes: $discountCodes) {
+        cart { ...CartFields }
+        userErrors { field message code }
+        warnings { code message }
+      }
+    }
+    ${CART_FRAGMENT}
+  `, { cartId, discountCodes: codes });
+
+  const { cart, warnings = [] } = data.cartDiscountCodesUpdate;
+  const rejected = (cart?.discountCodes || [])
+    .filter(discount => !discount.applicable)
+    .map(({ code }) => {
+      const warning = warnings.find(w => w.message?.toUpperCase().includes(code.toUpperCase()));
+      return {
+        code,
+        reason: warning?.code || 'NOT_APPLICABLE',
+        message: warning?.message || `${code} does not apply to this cart`,
+      };
+    });
+
+  return { cart, rejected };
+}
+
+// Checkout for a whole case: a new cart with exactly the critical evidence the player is
+// still missing, with CASE_BUNDLE_DISCOUNT_CODE applied when configured. The new cart
+// becomes the player's cart: case_progress follows it and the frontend stores its id.
+async function handleCaseCheckout(request, env, caseId, executionCtx) {
+  const playerId = getPlayerId(request);
+  const { cases, owned } = await loadCaseEvidence(env, { caseId, playerId });
+  const caseData = cases[0];
+
+  if (!caseData) {
+    return jsonResponse({ error: 'Case not found' }, 404);
+  }
+  if (caseData.solved_at) {
+    return jsonResponse({ checkout_url: null, error: 'Case already solved' }, 409);
+  }
+
+  const { missing_evidence: missing } = evaluateCase(caseData, owned);
+  if (missing.length === 0) {
+    return jsonResponse({ checkout_url: null, error: 'Nothing left to buy for this case' }, 409);
+  }
+
+  let cached;
+  try {
+    cached = await loadCachedEvidence(env, executionCtx);
+  } catch (error) {
+    console.error('Evidence fetch failed:', error);
+    return jsonResponse({ error: 'Failed to fetch from Shopify' }, 500);
+  }
+
+  const items = missing.map(id => cached.evidence.find(item => item.id === id));
+  const unavailable = missing.filter((id, i) => !items[i]?.variant_id || items[i].available === false);
+  if (unavailable.length > 0) {
+    return jsonResponse({ checkout_url: null, error: 'Some evidence for this case is unavailable', unavailable }, 409);
+  }
+
+  const discountCode = env.CASE_BUNDLE_DISCOUNT_CODE || null;
+  let cart;
+  try {
+    const data = await getShopify(env).storefront(`
+      mutation cartCreate($input: CartInput!) {
+        cartCreate(input: $input) {
+          cart { ...CartFields }
+          userErrors { field message code }
+        }
+      }
+      ${CART_FRAGMENT}
+    `, {
+      input: {
+        lines: items.map(item => ({ merchandiseId: item.variant_id, quantity: 1 })),
+        discountCodes: discountCode ? [discountCode] : [],
+        attributes: [
+          ...(playerId ? [{ key: 'player_id', value: playerId }] : []),
+          { key: 'case_bundle', value: caseData.number },
+        ],
+      },
+    });
+    cart = toCart(data.cartCreate.cart);
+  } catch (error) {
+    return cartError(error);
+  }
+
+  const evidenceIds = cart.lines.map(line => line.evidence_id);
+  executionCtx.waitUntil(Promise.all([
+    updateCaseProgress(env, playerId, evidenceIds, cart),
+    recordEngagement(env, playerId, 'cart_add', evidenceIds),
+  ]));
+  await logActivity(env, 'checkout_created', {
+    variant_ids: cart.lines.map(line => line.variant_id),
+    case_ids: [caseId],
+    checkout_id: cart.cart_id,
+    ...(playerId ? { session_id: playerId } : {}),
+  });
+
+  return jsonResponse({
+    case_id: caseId,
+    cart_id: cart.cart_id,
+    checkout_url: cart.checkout_url,
+    evidence: cart.lines.map(({ evidence_id, name, price }) => ({ evidence_id, name, price })),
+    subtotal: cart.subtotal,
+    total: cart.total,
+    currency: cart.currency,
+    discount_codes: cart.discount_codes,
+  });
+}
+
+// A cart by id; null once Shopify has expired or converted it
+async function fetchCart(env, cartId) {
+  const data = await getShopify(env).storefront(`
+    query Cart($id: ID!) {
+      cart(id: $id) { ...CartFields }
+    }
+    ${CART_FRAGMENT}
+  `, { id: cartId });
+  return data.cart;
+}
+
+async function removeCartLines(env, cartId, lineIds) {
+  const data = await getShopify(env).storefront(`
+    mutation cartLinesRemove($cartId: ID!, $lineIds: [ID!]!) {
+      cartLinesRemove(cartId: $cartId, lineIds: $lineIds) {
+        cart { ...CartFields }
+        userErrors { field message code }
+      }
+    }
+    ${CART_FRAGMENT}
+  `, { cartId, lineIds });
+  return data.cartLinesRemove.cart;
+}
+
+// Evidence is one of a kind: drop lines for owned or repeated evidence and bring any
+// quantity above one back down
+async function tidyCart(env, cart, owned) {
+  const seen = new Set();
+  const remove = [];
+  const update = [];
+
+  for (const line of cart.lines.nodes) {
+    const evidenceId = gidToId(line.merchandise.product.id);
+    if (owned.has(evidenceId) || seen.has(evidenceId)) {
+      remove.push(line.id);
+    } else if (line.quantity > 1) {
+      update.push({ id: line.id, quantity: 1 });
+    }
+    seen.add(evidenceId);
+  }
+
+  if (remove.length > 0) {
+    cart = await removeCartLines(env, cart.id, remove);
+  }
+  if (update.length > 0) {
+    const data = await getShopify(env).storefront(`
+      mutation cartLinesUpdate($cartId: ID!, $lines: [CartLineUpdateInput!]!) {
+        cartLinesUpdate(cartId: $cartId, lines: $lines) {
+          cart { ...CartFields }
+          userErrors { field message code }
+        }
+      }
+      ${CART_FRAGMENT}
+    `, { cartId: cart.id, lines: update });
+    cart = data.cartLinesUpdate.cart;
+  }
+  return cart;
+}
+
+// The cart shape the frontend uses; a missing cart is an empty one
+function toCart(cart) {
+  if (!cart) {
+    return {
+      cart_id: null, checkout_url: null, total_quantity: 0, subtotal: '0.00', discount: '0.00', total: '0.00',
+      currency: null, discount_codes: [], lines: [],
+    };
+  }
+
+  // Order-level discounts are allocated to the cart, product discounts to its lines
+  const discount = [
+    ...cart.discountAllocations,
+    ...cart.lines.nodes.flatMap(line => line.discountAllocations),
+  ].reduce((sum, allocation) => sum + Number(allocation.discountedAmount.amount), 0);
+
+  return {
+    cart_id: cart.id,
+    checkout_url: cart.checkoutUrl,
+    total_quantity: cart.totalQuantity,
+    subtotal: Number(cart.cost.subtotalAmount.amount).toFixed(2),
+    discount: discount.toFixed(2),
+    total: Number(cart.cost.totalAmount.amount).toFixed(2),
+    currency: cart.cost.subtotalAmount.currencyCode,
+    discount_codes: cart.discountCodes.map(({ code, applicable }) => ({ code, applicable })),
+    lines: cart.lines.nodes.map(line => ({
+      line_id: line.id,
+      evidence_id: gidToId(line.merchandise.product.id),
+      variant_id: line.merchandise.id,
+      name: line.merchandise.product.title,
+      price: Number(line.merchandise.price.amount).toFixed(2),
+      quantity: line.quantity,
+    })),
+  };
+}
+
+// Shopify failures as responses: userErrors on the cart id mean Shopify has no such cart
+// (404), other userErrors are the player's to fix (422), anything else is Shopify's (502)
+function cartError(error) {
+  if (!(error instanceof ShopifyError)) throw error;
+
+  console.error('Cart update failed:', JSON.stringify(error.errors, null, 2));
+  if (!(error instanceof ShopifyUserError)) {
+    return jsonResponse({ error: 'Shopify cart request failed' }, 502);
+  }
+  if (error.userErrors.some(userError => userError.field === 'cartId')) {
+    return jsonResponse({ error: 'Cart not found', user_errors: error.userErrors }, 404);
+  }
+  return jsonResponse({ error: error.userErrors[0].message, user_errors: error.userErrors }, 422);
+}
+
+// Keep the player's MongoDB case_progress current for the cases `evidenceIds` belong to:
+// evidence they own ("collected"), evidence sitting unpaid in their cart ("pending
+// checkout"), and how far the two together take each case. The cart routes pass the cart
+// after their change; purchases and refunds pass none, keeping the stored pending
+// evidence less whatever is now owned. Passing a PROGRESS_MILESTONES mark above the last
+// one announced for the case broadcasts a case_progress activity. Best-effort, like
+// logActivity.
+async function updateCaseProgress(env, playerId, evidenceIds, cart = null) {
+  if (!playerId || !env.MONGODB_API_KEY) return;
+
+  try {
+    const [{ cases, owned }, stored] = await Promise.all([
+      loadCaseEvidence(env, { playerId }),
+      getMongo(env).find('case_progress', { filter: { session_id: playerId } }),
+    ]);
+    const previous = new Map(stored.map(doc => [doc.case_id, doc]));
+    const touched = cases.filter(c => (c.required_evidence || []).some(id => evidenceIds.includes(id)));
+
+    await Promise.all(touched.map(async c => {
+      const carted = new Set(cart
+        ? cart.lines.map(line => line.evidence_id)
+        : previous.get(c.id)?.pending_evidence || []);
+      const pending = c.required_evidence.filter(id => id && carted.has(id) && !owned.has(id));
+      const collected = evaluateCase(c, owned);
+      const withCart = evaluateCase(c, new Set([...owned, ...pending]));
+
+      // Solving announces itself as case_solved
+      const announced = previous.get(c.id)?.announced_milestone || 0;
+      const milestone = Math.max(announced, ...PROGRESS_MILESTONES.filter(mark => withCart.progress >= mark));
+      const announce = milestone > announced && !c.solved_at && withCart.progress < 100;
+
+      await getMongo(env).updateOne('case_progress', { session_id: playerId, case_id: c.id }, {
+        $set: {
+          case_number: c.number,
+          title: c.title,
+          collected_evidence: collected.collected_evidence,
+          pending_evidence: pending,
+          collected_percentage: collected.progress,
+          progress_percentage: withCart.progress,
+          is_solvable: withCart.solvable,
+          is_solved: Boolean(c.solved_at),
+          announced_milestone: milestone,
+          ...(cart ? { cart_id: cart.cart_id } : {}),
+          last_updated: mongoDate(),
+        },
+      }, { upsert: true });
+
+      if (announce) {
+        await logActivity(env, 'case_progress', {
+          case_id: c.id,
+          case_number: c.number,
+          title: c.title,
+          progress_percentage: withCart.progress,
+          player_marker: await progressMarker(playerId, c.id, withCart.progress),
+        });
+      }
+    }));
+  } catch (error) {
+    console.error('Failed to update case progress:', error);
+  }
+}
+
+// case_progress activities go to every live client, so they name the player only by a
+// SHA-256 of their id with the case and mark: App.jsx recomputes it to skip its own
+// milestones, and no one else can tie it to a player or to their other milestones
+async function progressMarker(playerId, caseId, progress) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${playerId}:${caseId}:${progress}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// The X-Player-Id session's case_progress, as the cart routes and order webhooks left it
+async function handleGetProgress(request, env) {
+  const playerId = getPlayerId(request);
+  if (!playerId) {
+    return jsonResponse({ error: 'X-Player-Id header required' }, 400);
+  }
+  if (!env.MONGODB_API_KEY) {
+    return jsonResponse({ session_id: playerId, cases: [], mock: true });
+  }
+
+  const documents = await getMongo(env).find('case_progress', {
+    filter: { session_id: playerId },
+    sort: { case_id: 1 },
+  });
+
+  return jsonResponse({
+    session_id: playerId,
+    cases: documents.map(({ _id, session_id: _sessionId, last_updated, ...progress }) => ({
+      ...progress,
+      last_updated: last_updated?.$date || last_updated,
+    })),
+  });
+}
+
+// Trending evidence from evidence_engagement over the last hour, highest score first:
+// 0.3 per view, 1 per cart add and 0.02 per second of dwell. `heat` is the score
+// relative to the top item, for the Evidence Store's badges.
+async function handleGetEngagement(url, env) {
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 20, 1), 100);
+  const result = { window_minutes: ENGAGEMENT_WINDOW_MS / 60000, evidence: [] };
+
+  if (!env.MONGODB_API_KEY) {
+    return jsonResponse({ ...result, mock: true });
+  }
+
+  const isType = (type) => ({ $eq: ['$event_type', type] });
+  const rows = await getMongo(env).aggregate('evidence_engagement', [
+    { $match: { timestamp: { $gte: mongoDate(new Date(Date.now() - ENGAGEMENT_WINDOW_MS)) } } },
+    {
+      $group: {
+        _id: '$evidence_id',
+        views: { $sum: { $cond: [isType('view'), 1, 0] } },
+        dwells: { $sum: { $cond: [isType('dwell'), 1, 0] } },
+        dwell_seconds: { $sum: { $cond: [isType('dwell'), '$metadata.time_on_page', 0] } },
+        avg_scroll_depth: { $avg: '$metadata.scroll_depth' },
+        cart_adds: { $sum: { $cond: [isType('cart_add'), 1, 0] } },
+        cart_removes: { $sum: { $cond: [isType('cart_remove'), 1, 0] } },
+        sessions: { $addToSet: '$session_id' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        evidence_id: '$_id',
+        views: 1,
+        unique_viewers: { $size: { $setDifference: ['$sessions', [null]] } },
+        avg_time_on_page: { $cond: [{ $gt: ['$dwells', 0] }, { $divide: ['$dwell_seconds', '$dwells'] }, null] },
+        avg_scroll_depth: 1,
+        cart_adds: 1,
+        cart_removes: 1,
+        engagement_score: {
+          $add: [{ $multiply: ['$views', 0.3] }, '$cart_adds', { $multiply: ['$dwell_seconds', 0.02] }],
+        },
+      },
+    },
+    { $sort: { engagement_score: -1 } },
+    { $limit: limit },
+  ]);
+
+  const top = rows[0]?.engagement_score || 0;
+  const round = (value, places) => (value == null ? null : Number(value.toFixed(places)));
+  result.evidence = rows.map(row => ({
+    ...row,
+    avg_time_on_page: round(row.avg_time_on_page, 1),
+    avg_scroll_depth: round(row.avg_scroll_depth, 0),
+    engagement_score: round(row.engagement_score, 2),
+    heat: top > 0 ? round(row.engagement_score / top, 2) : 0,
+  }));
+
+  return jsonResponse(result, 200, { 'Cache-Control': 'public, max-age=30' });
+}
+
+// Store `{ events: [{ evidence_id, event_type: 'view' | 'dwell', time_on_page, scroll_depth }] }`
+// from the Evidence Store under the X-Player-Id session. Dwells carry seconds on screen
+// and how far down the page (%) the visitor was. Events are checked against
+// ENGAGEMENT_EVENT_TYPES (activity-schema.js) and the cached evidence list.
+async function handlePostEngagement(request, env, executionCtx) {
+  const body = await readJsonBody(request);
+  const events = body?.events;
+  if (!Array.isArray(events) || events.length === 0) {
+    return validationError({ events: 'must be a non-empty list' });
+  }
+  if (events.length > ENGAGEMENT_EVENTS_MAX) {
+    return validationError({ events: `must hold at most ${ENGAGEMENT_EVENTS_MAX} events` });
+  }
+
+  const errors = {};
+  events.forEach((event, i) => {
+    Object.entries(validateEngagementEvent(event) || {}).forEach(([field, message]) => {
+      errors[`events[${i}].${field}`] = message;
+    });
+  });
+  if (Object.keys(errors).length > 0) {
+    return validationError(errors);
+  }
+
+  let cached;
+  try {
+    cached = await loadCachedEvidence(env, executionCtx);
+  } catch (error) {
+    console.error('Evidence fetch failed:', error);
+    return jsonResponse({ error: 'Failed to fetch from Shopify' }, 500);
+  }
+
+  const known = new Set(cached.evidence.map(item => item.id));
+  events.forEach((event, i) => {
+    if (!known.has(event.evidence_id)) {
+      errors[`events[${i}].evidence_id`] = 'is not a known evidence id';
+    }
+  });
+  if (Object.keys(errors).length > 0) {
+    return validationError(errors);
+  }
+
+  const timestamp = mongoDate();
+  const sessionId = getPlayerId(request);
+  const documents = events.map(event => ({
+    evidence_id: event.evidence_id,
+    event_type: event.event_type,
+    timestamp,
+    session_id: sessionId,
+    ...(event.event_type === 'dwell' ? {
+      metadata: {
+        time_on_page: event.time_on_page,
+        ...(event.scroll_depth !== undefined ? { scroll_depth: event.scroll_depth } : {}),
+      },
+    } : {}),
+  }));
+
+  if (!env.MONGODB_API_KEY) {
+    console.log('Engagement:', documents);
+    return jsonResponse({ success: true, count: documents.length, mock: true });
+  }
+
+  await getMongo(env).insertMany('evidence_engagement', documents);
+  return jsonResponse({ success: true, count: documents.length });
+}
+
+// Log cart adds and removes to MongoDB evidence_engagement, where the analytics rollup
+// counts them. Best-effort, like logActivity.
+async function recordEngagement(env, playerId, eventType, evidenceIds) {
+  if (!env.MONGODB_API_KEY || evidenceIds.length === 0) return;
+
+  try {
+    const timestamp = mongoDate();
+    await getMongo(env).insertMany('evidence_engagement', evidenceIds.map(evidence_id => ({
+      evidence_id,
+      event_type: eventType,
+      timestamp,
+      session_id: playerId,
+    })));
+  } catch (error) {
+    console.error('Failed to record engagement:', error);
+  }
+}
+
+// Verify a Shopify webhook: HMAC signature, topic and shop domain.
+// Returns null when the request is authentic, otherwise a rejection reason.
+async function verifyShopifyWebhook(request, env, rawBody, expectedTopic) {
+  if (!env.SHOPIFY_WEBHOOK_SECRET) {
+    return 'Webhook secret not configured';
+  }
+
+  const signature = request.headers.get('X-Shopify-Hmac-Sha256');
+  if (!signature) {
+    return 'Missing HMAC signature';
+  }
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(env.SHOPIFY_WEBHOOK_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(rawBody));
+  const expected = btoa(String.fromCharCode(...new Uint8Array(digest)));
+
+  if (!timingSafeEqual(signature, expected)) {
+    return 'HMAC signature mismatch';
+  }
+
+  const topic = request.headers.get('X-Shopify-Topic');
+  if (topic !== expectedTopic) {
+    return `Unexpected topic: ${topic}`;
+  }
+
+  const shopDomain = request.headers.get('X-Shopify-Shop-Domain');
+  if (shopDomain !== env.SHOPIFY_STORE_DOMAIN) {
+    return `Unexpected shop domain: ${shopDomain}`;
+  }
+
+  return null;
+}
+
+// Verify a Shopify webhook delivered to /webhook/:topic and hand its payload to the
+// topic's handler. The path must agree with the signed X-Shopify-Topic header.
+async function handleWebhook(request, env, pathTopic) {
+  const topic = pathTopic.replace('-', '/');
+  const handler = WEBHOOK_HANDLERS[topic];
+  if (!handler) {
+    return jsonResponse({ error: `Unsupported webhook topic: ${topic}` }, 404);
+  }
+
+  // Verify against the raw body; re-serialized JSON would not match the HMAC
+  const rawBody = await request.text();
+  const rejection = await verifyShopifyWebhook(request, env, rawBody, topic);
+
+  if (rejection) {
+    console.warn(`Rejected ${topic} webhook:`, rejection, {
+      shop: request.headers.get('X-Shopify-Shop-Domain'),
+      topic: request.headers.get('X-Shopify-Topic'),
+      ip: request.headers.get('CF-Connecting-IP'),
+    });
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  return handler(env, JSON.parse(rawBody), request.headers.get('X-Shopify-Webhook-Id'));
+}
+
+// orders/paid: record the evidence and solve whatever cases it completes.
+// Solving waits for payment; an order that is only created (or never paid) counts for nothing.
+async function handleOrderPaid(env, order, webhookId) {
+  const orderId = order.id.toString();
+
+  console.log('=== ORDER PAID WEBHOOK RECEIVED ===');
+  console.log('Order ID:', orderId, 'Webhook ID:', webhookId);
+
+  if (!env.NEON_DATABASE_URL) {
+    return jsonResponse({ success: false, error: 'Database not configured' });
+  }
+
+  // Shopify retries webhooks; a redelivery returns the original result untouched
+  const recorded = await findRecordedPurchase(env, orderId, webhookId);
+  if (recorded) {
+    console.log('Duplicate delivery for order', orderId);
+    return jsonResponse(purchaseResult(recorded));
+  }
+
+  // Extract evidence IDs from line items; custom and tip items have no product_id
+  const evidenceIds = [...new Set((order.line_items || [])
+    .map(item => item.product_id)
+    .filter(Boolean)
+    .map(String))];
+  const { playerId, customerId } = orderPlayer(order);
+
+  // Check which cases the buyer has now solved, counting their earlier orders too
+  const { cases, owned } = await loadCaseEvidence(env, { playerId });
+  evidenceIds.forEach(id => owned.add(id));
+
+  const solvedCaseIds = cases
+    .filter(c => !c.solved_at && evaluateCase(c, owned).solvable)
+    .map(c => c.id);
+
+  // Store evidence, the purchase row and solved cases in one transaction.
+  // record_purchase() solves per player (or globally without one) and bumps case_analytics.
+  const playerStatements = playerId ? [
+    [`
+      INSERT INTO players (id, shopify_customer_id)
+      VALUES ($1, $2)
+      ON CONFLICT (id) DO UPDATE
+      SET last_seen_at = CURRENT_TIMESTAMP,
+          shopify_customer_id = COALESCE(EXCLUDED.shopify_customer_id, players.shopify_customer_id)
+    `, [playerId, customerId]],
+    [`
+      INSERT INTO player_evidence (player_id, evidence_id, order_id)
+      SELECT $1, unnest($2::text[]), $3
+      ON CONFLICT (player_id, evidence_id) DO NOTHING
+    `, [playerId, evidenceIds, orderId]],
+  ] : [];
+
+  try {
+    await transactionNeon(env, [
+      [`
+        INSERT INTO purchased_evidence (evidence_id, order_id)
+        SELECT unnest($1::text[]), $2
+        ON CONFLICT (evidence_id) DO NOTHING
+      `, [evidenceIds, orderId]],
+      ...playerStatements,
+      [`
+        SELECT record_purchase($1, $2::text[], $3::integer[], $4::numeric, $5, $6)
+      `, [orderId, evidenceIds, solvedCaseIds, parseFloat(order.total_price || 0), webhookId, playerId]],
+    ]);
+  } catch (error) {
+    // A concurrent delivery of the same order may have committed first
+    const concurrent = await findRecordedPurchase(env, orderId, webhookId);
+    if (concurrent) {
+      console.log('Concurrent delivery for order', orderId);
+      return jsonResponse(purchaseResult(concurrent));
+    }
+    throw error;
+  }
+
+  if (solvedCaseIds.length > 0) {
+    await logActivity(env, 'case_solved', {
+      case_ids: solvedCaseIds,
+      order_id: orderId,
+      ...(playerId ? { session_id: playerId } : {}),
+      solved_by_purchase: true,
+    });
+  }
+  await updateCaseProgress(env, playerId, evidenceIds);
+
+  return jsonResponse({
+    success: true,
+    player_id: playerId,
+    evidence_count: evidenceIds.length,
+    solved_cases: solvedCaseIds
+  });
+}
+
+// refunds/create: give back the refunded line items' evidence
+async function handleRefundCreated(env, refund) {
+  const evidenceIds = (refund.refund_line_items || [])
+    .map(item => item.line_item?.product_id)
+    .filter(Boolean)
+    .map(String);
+
+  console.log('Refund', refund.id, 'for order', refund.order_id, 'returns evidence:', evidenceIds);
+  return revokeOrderEvidence(env, String(refund.order_id), evidenceIds, 'refund');
+}
+
+// orders/cancelled: give back everything the order collected
+async function handleOrderCancelled(env, order) {
+  const evidenceIds = (order.line_items || [])
+    .map(item => item.product_id)
+    .filter(Boolean)
+    .map(String);
+
+  console.log('Order', order.id, 'cancelled:', order.cancel_reason);
+  return revokeOrderEvidence(env, order.id.toString(), evidenceIds, 'cancellation');
+}
+
+// Un-collect evidence from a recorded order and reopen whatever cases that unsolves.
+// revoke_purchase() ignores evidence already given back, and reopening only touches
+// cases that are solved but no longer solvable, so redeliveries change nothing.
+async function revokeOrderEvidence(env, orderId, evidenceIds, reason) {
+  if (!env.NEON_DATABASE_URL) {
+    return jsonResponse({ success: false, error: 'Database not configured' });
+  }
+
+  const purchase = await findRecordedPurchase(env, orderId, null);
+  if (!purchase) {
+    console.log(`No recorded purchase for order ${orderId}; ignoring ${reason}`);
+    return jsonResponse({ success: true, order_id: orderId, revoked_evidence: [], reopened_cases: [] });
+  }
+
+  const [{ revoked }] = await queryNeon(env, 'SELECT revoke_purchase($1, $2::text[]) as revoked', [
+    orderId,
+    [...new Set(evidenceIds)],
+  ]);
+  const playerId = purchase.player_id;
+  const reopenedCaseIds = await reopenUnsolvableCases(env, playerId);
+  await updateCaseProgress(env, playerId, revoked);
+
+  if (reopenedCaseIds.length > 0) {
+    await logActivity(env, 'case_reopened', {
+      case_ids: reopenedCaseIds,
+      order_id: orderId,
+      ...(playerId ? { session_id: playerId } : {}),
+      reason,
+    });
+  }
+
+  return jsonResponse({
+    success: true,
+    order_id: orderId,
+    player_id: playerId,
+    revoked_evidence: revoked,
+    reopened_cases: reopenedCaseIds,
+  });
+}
+
+// Reopen solved cases whose critical evidence is no longer all owned: the player's when
+// given (returned), and the world's. reopen_case() takes back the completion a solve
+// counted; a player's solve was counted once, by the player, so the world's solved_at
+// is cleared without touching case_analytics again.
+async function reopenUnsolvableCases(env, playerId) {
+  const [world, player] = await Promise.all([
+    loadCaseEvidence(env),
+    playerId ? loadCaseEvidence(env, { playerId }) : null,
+  ]);
+  const unsolvable = ({ cases, owned }) => cases
+    .filter(c => c.solved_at && !evaluateCase(c, owned).solvable)
+    .map(c => c.id);
+
+  const worldCaseIds = unsolvable(world);
+  const playerCaseIds = player ? unsolvable(player) : [];
+
+  const statements = playerId ? [
+    ...playerCaseIds.map(caseId => ['SELECT reopen_case($1, $2)', [caseId, playerId]]),
+    [`
+      UPDATE cases
+      SET solved_at = NULL, reopened_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($1::integer[]) AND solved_at IS NOT NULL
+    `, [worldCaseIds]],
+  ] : worldCaseIds.map(caseId => ['SELECT reopen_case($1)', [caseId]]);
+
+  if (worldCaseIds.length > 0 || playerCaseIds.length > 0) {
+    await transactionNeon(env, statements);
+  }
+
+  return playerId ? playerCaseIds : worldCaseIds;
+}
+
+// Work out who placed an order: the player_id cart attribute set at checkout,
+// falling back to the Shopify customer for orders placed outside the lab
+function orderPlayer(order) {
+  const attribute = (order.note_attributes || []).find(a => a.name === 'player_id');
+  const customerId = order.customer?.id ? order.customer.id.toString() : null;
+
+  if (attribute && PLAYER_ID_PATTERN.test(attribute.value)) {
+    return { playerId: attribute.value, customerId };
+  }
+  return { playerId: customerId ? `customer_${customerId}` : null, customerId };
+}
+
+// Look up a purchase already recorded for this order or webhook delivery
+async function findRecordedPurchase(env, orderId, webhookId) {
+  const rows = await queryNeon(env, `
+    SELECT order_id, player_id, evidence_ids, case_ids
+    FROM purchases
+    WHERE order_id = $1 OR webhook_id = $2
+    LIMIT 1
+  `, [orderId, webhookId]);
+  return rows[0] || null;
+}
+
+// Rebuild the original webhook response from a recorded purchase
+function purchaseResult(purchase) {
+  return {
+    success: true,
+    player_id: purchase.player_id,
+    evidence_count: purchase.evidence_ids.length,
+    solved_cases: purchase.case_ids
+  };
+}
+
+// Recent audit log entries, newest first
+async function handleGetAuditLog(request, env) {
+  const limit = Math.min(parseInt(new URL(request.url).searchParams.get('limit')) || 50, 500);
+  return jsonResponse(await queryNeon(env, `
+    SELECT id, actor, role, auth_method, action, target, details, created_at
+    FROM audit_log
+    ORDER BY created_at DESC
+    LIMIT $1
+  `, [limit]));
+}
+
+// Admin API for authoring cases and their evidence mappings (admin role)
+
+// Create a case (and its case_analytics row)
+async function handleCreateCase(request, env, principal) {
+  const input = await readJsonBody(request);
+  const errors = validateCaseInput(input);
+  if (errors) {
+    return validationError(errors);
+  }
+
+  const { case_number, title, description, solution, difficulty = 'medium' } = input;
+
+  try {
+    const [created] = await transactionNeon(env, [
+      [`
+        INSERT INTO cases (case_number, title, description, solution, difficulty)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, case_number, title, description, solution, difficulty, created_at, solved_at
+      `, [case_number, title, description, solution, difficulty]],
+      [`
+        INSERT INTO case_analytics (case_id, views, cart_adds, completions)
+        SELECT id, 0, 0, 0 FROM cases WHERE case_number = $1
+      `, [case_number]],
+      auditStatement(principal, 'create_case', `case:${case_number}`, { title, difficulty }),
+    ]);
+    return jsonResponse(created[0], 201);
+  } catch (error) {
+    return caseWriteError(error);
+  }
+}
+
+// Update any subset of a case's fields
+async function handleUpdateCase(request, env, principal, caseId) {
+  const input = await readJsonBody(request);
+  const errors = validateCaseInput(input, { partial: true });
+  if (errors) {
+    return validationError(errors);
+  }
+
+  const fields = ['case_number', 'title', 'description', 'solution', 'difficulty']
+    .filter(field => input[field] !== undefined);
+  if (fields.length === 0) {
+    return validationError({ body: 'provide at least one field to update' });
+  }
+
+  const assignments = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+
+  try {
+    const updated = await queryNeon(env, ...auditedStatement([`
+      UPDATE cases SET ${assignments}
+      WHERE id = $1
+      RETURNING id, case_number, title, description, solution, difficulty, created_at, solved_at
+    `, [caseId, ...fields.map(field => input[field])]], principal, 'update_case', `case:${caseId}`, { fields }));
+
+    if (updated.length === 0) {
+      return jsonResponse({ error: 'Case not found' }, 404);
+    }
+    // The cached evidence list carries each case's number, title and difficulty
+    await purgeEvidenceCache(env);
+    return jsonResponse(updated[0]);
+  } catch (error) {
+    return caseWriteError(error);
+  }
+}
+
+// Delete a case; its evidence mappings and analytics cascade
+async function handleDeleteCase(env, principal, caseId) {
+  const deleted = await queryNeon(env, ...auditedStatement(
+    ['DELETE FROM cases WHERE id = $1 RETURNING id, case_number', [caseId]],
+    principal, 'delete_case', `case:${caseId}`
+  ));
+
+  if (deleted.length === 0) {
+    return jsonResponse({ error: 'Case not found' }, 404);
+  }
+  await purgeEvidenceCache(env);
+  return jsonResponse({ success: true, deleted_case_id: caseId });
+}
+
+// Attach a Shopify product to a case, or change its is_critical flag if already attached
+async function handleAttachEvidence(request, env, principal, caseId) {
+  const input = await readJsonBody(request);
+  const errors = {};
+
+  if (typeof input?.evidence_id !== 'string' && typeof input?.evidence_id !== 'number') {
+    errors.evidence_id = 'is required';
+  } else if (String(input.evidence_id).trim() === '' || String(input.evidence_id).length > EVIDENCE_ID_MAX_LENGTH) {
+    errors.evidence_id = `must be 1-${EVIDENCE_ID_MAX_LENGTH} characters`;
+  }
+  if (input?.is_critical !== undefined && typeof input.is_critical !== 'boolean') {
+    errors.is_critical = 'must be a boolean';
+  }
+  if (Object.keys(errors).length > 0) {
+    return validationError(errors);
+  }
+
+  const exists = await queryNeon(env, 'SELECT id FROM cases WHERE id = $1', [caseId]);
+  if (exists.length === 0) {
+    return jsonResponse({ error: 'Case not found' }, 404);
+  }
+
+  const evidenceId = String(input.evidence_id).trim();
+  const isCritical = input.is_critical ?? true;
+  const [attached] = await transactionNeon(env, [
+    [`
+      INSERT INTO case_evidence (case_id, evidence_id, is_critical)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (case_id, evidence_id) DO UPDATE SET is_critical = EXCLUDED.is_critical
+      RETURNING case_id, evidence_id, is_critical, added_at
+    `, [caseId, evidenceId, isCritical]],
+    auditStatement(principal, 'attach_evidence', `case:${caseId}`, { evidence_id: evidenceId, is_critical: isCritical }),
+  ]);
+  await purgeEvidenceCache(env);
+
+  return jsonResponse(attached[0], 201);
+}
+
+// Detach a Shopify product from a case
+async function handleDetachEvidence(env, principal, caseId, evidenceId) {
+  const detached = await queryNeon(env, ...auditedStatement([`
+    DELETE FROM case_evidence
+    WHERE case_id = $1 AND evidence_id = $2
+    RETURNING evidence_id
+  `, [caseId, evidenceId]], principal, 'detach_evidence', `case:${caseId}`, { evidence_id: evidenceId }));
+
+  if (detached.length === 0) {
+    return jsonResponse({ error: 'Evidence not attached to case' }, 404);
+  }
+  await purgeEvidenceCache(env);
+  return jsonResponse({ success: true, case_id: caseId, evidence_id: evidenceId });
+}
+
+// Check case fields against the cases table constraints.
+// Returns { field: message } for each problem, or null when valid.
+function validateCaseInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { body: 'must be a JSON object' };
+  }
+
+  const errors = {};
+
+  for (const field of ['case_number', 'title', 'description', 'solution']) {
+    const value = input[field];
+    if (value === undefined) {
+      if (!partial) errors[field] = 'is required';
+    } else if (typeof value !== 'string' || value.trim() === '') {
+      errors[field] = 'must be a non-empty string';
+    } else if (CASE_FIELD_LIMITS[field] && value.length > CASE_FIELD_LIMITS[field]) {
+      errors[field] = `must be at most ${CASE_FIELD_LIMITS[field]} characters`;
+    }
+  }
+
+  if (input.difficulty !== undefined && !CASE_DIFFICULTIES.includes(input.difficulty)) {
+    errors.difficulty = `must be one of ${CASE_DIFFICULTIES.join(', ')}`;
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// Parse a JSON body, treating malformed JSON as missing
+async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+function validationError(fields) {
+  return jsonResponse({ error: 'Validation failed', fields }, 400);
+}
+
+// Map constraint violations from a case write onto the offending field
+function caseWriteError(error) {
+  if (error.code === '23505') {
+    return jsonResponse({ error: 'Validation failed', fields: { case_number: 'already exists' } }, 409);
+  }
+  if (error.code === '23514') {
+    return validationError({ difficulty: `must be one of ${CASE_DIFFICULTIES.join(', ')}` });
+  }
+  throw error;
 }
 
 // Generate detective commentary using Cloudflare Workers AI